@@ -0,0 +1,565 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_xhr_transport');
+
+/** @class
+
+  An item in an SC.FileUploadQueue, tracking the upload of a single file.
+
+  @extends SC.Object
+  @since SproutCore 1.0
+*/
+SC.FileUploadQueueItem = SC.Object.extend({
+
+  /**
+    The file to upload.
+
+    @property {File}
+    */
+  file: null,
+
+  /**
+    The name to send the file as, if the file is a Blob that was resized or transformed.
+
+    @property {String}
+    */
+  filename: null,
+
+  /**
+    The list of key-value pairs to send with this file only, such as its checksums, after the
+    queue's hiddenInputs.
+
+    @property {Array}
+    */
+  fields: null,
+
+  /**
+    The name of the file.
+
+    @property {String}
+    */
+  name: function() {
+    return this.get('filename') || this.getPath('file.name');
+  }.property('file', 'filename').cacheable(),
+
+  /**
+    The size of the file in bytes.
+
+    @property {Number}
+    */
+  size: function() {
+    return this.getPath('file.size');
+  }.property('file').cacheable(),
+
+  /**
+    The MIME type of the file.
+
+    @property {String}
+    */
+  type: function() {
+    return this.getPath('file.type');
+  }.property('file').cacheable(),
+
+  /**
+    One of SC.FileUploadQueue.QUEUED, UPLOADING, DONE, FAILED or CANCELLED.
+
+    @property {String}
+    */
+  state: 'queued',
+
+  /**
+    The number of bytes sent so far.
+
+    @property {Number}
+    */
+  bytesSent: 0,
+
+  /**
+    The fraction (0 to 1) of the file that has been sent.
+
+    @property {Number}
+    */
+  progress: function() {
+    var size = this.get('size');
+    return size > 0 ? Math.min(this.get('bytesSent') / size, 1) : 0;
+  }.property('bytesSent', 'size').cacheable(),
+
+  /**
+    The parsed response from the server once the upload is done.
+
+    @property {Object}
+    */
+  result: null,
+
+  /**
+    The reason for the failure once the upload has failed.
+
+    @property {SC.FileUploadError}
+    */
+  error: null,
+
+  /**
+    The transport uploading the file while its state is UPLOADING.
+
+    @property {SC.FileUploadTransport}
+    */
+  transport: null
+
+});
+
+/** @class
+
+  Uploads files one request per file, with a limited number of uploads running at once, and keeps
+  the state and progress of each file.  The content is an array of SC.FileUploadQueueItems, so an
+  SC.ArrayController, list or collection view may be bound directly to it.
+
+  Files may be added with addFiles() or by setting an SC.FileFieldView's uploadQueue, in which
+  case the file field view hands its selection over to the queue instead of uploading it.
+
+  The delegate is notified as each file is uploaded (see SC.FileUploadQueueDelegate).
+
+  @extends SC.Object
+  @since SproutCore 1.0
+*/
+SC.FileUploadQueue = SC.Object.extend(SC.DelegateSupport, {
+
+  /**
+    The path to the server's upload handler.
+
+    @property {String}
+    */
+  formAction: '',
+
+  /**
+    The field name each file is sent as.
+
+    @property {String}
+    */
+  inputName: 'files[]',
+
+  /**
+     The list of key-value pairs to submit with each file.
+
+     Example:
+       [{ key: "cookie", value: "abcdefghijklmnopqrstuvwxyz" }]
+
+     @property {Array}
+   */
+  hiddenInputs: null,
+
+  /**
+    The number of files to upload at the same time.
+
+    @property {Number}
+    */
+  maxConcurrentUploads: 2,
+
+  /**
+    Start uploading as soon as files are added.  If NO, call start().
+
+    @property {Boolean}
+    */
+  autoStart: YES,
+
+  /**
+    The transport class used for each upload.  It must be able to send File objects, so the
+    hidden iframe transport can't be used.
+
+    @property {SC.FileUploadTransport}
+    */
+  uploadTransport: SC.FileUploadXHRTransport,
+
+  /**
+    Parses each server response.  See SC.FileFieldView's responseParser.
+
+    @property {String|Function}
+    */
+  responseParser: 'json',
+
+  /**
+    The SC.FileUploadQueueItems for every file added.
+
+    @property {Array}
+    */
+  content: null,
+
+  /**
+    YES while the queue is started.  Uploads in progress continue after stop(), but no new ones
+    are started.
+
+    @property {Boolean}
+    */
+  isRunning: NO,
+
+  /**
+    YES while any file is uploading.
+
+    @property {Boolean}
+    */
+  isUploading: NO,
+
+  /**
+    The fraction (0 to 1) of all the files that have not been cancelled that has been sent.
+
+    @property {Number}
+    */
+  progress: 0,
+
+  /**
+    The object notified as the files are uploaded.  See SC.FileUploadQueueDelegate.
+
+    @property {Object}
+    */
+  delegate: null,
+
+  init: function() {
+    sc_super();
+
+    if (!this.get('content')) { this.set('content', []); }
+  },
+
+  /**
+    Adds the files to the end of the queue.  Each may also be a hash with the file and the filename
+    and fields of its item, such as { file: aBlob, filename: "photo.jpg", fields: [...] }.
+
+    @param files {Array|FileList} The files to upload.
+    @returns {Array} the SC.FileUploadQueueItems created for the files
+    */
+  addFiles: function(files) {
+    var content = this.get('content'),
+        items = [],
+        item, i;
+
+    for (i = 0; i < files.length; i++) {
+      if (files[i].file) {
+        item = SC.FileUploadQueueItem.create({ file: files[i].file, filename: files[i].filename, fields: files[i].fields });
+      } else {
+        item = SC.FileUploadQueueItem.create({ file: files[i] });
+      }
+      items.push(item);
+      content.pushObject(item);
+    }
+
+    if (this.get('autoStart')) {
+      this.start();
+    } else {
+      this._queueDidChange();
+    }
+
+    return items;
+  },
+
+  /**
+    Starts uploading the queued files.
+
+    @returns {SC.FileUploadQueue} receiver
+    */
+  start: function() {
+    this.set('isRunning', YES);
+    this._uploadNext();
+
+    return this;
+  },
+
+  /**
+    Stops starting new uploads.  Uploads in progress are not interrupted, see cancelAll().
+
+    @returns {SC.FileUploadQueue} receiver
+    */
+  stop: function() {
+    this.set('isRunning', NO);
+
+    return this;
+  },
+
+  /**
+    Cancels the item if it is queued or uploading.
+
+    @param item {SC.FileUploadQueueItem} The item to cancel.
+    @returns {Boolean} YES if the item was cancelled
+    */
+  cancel: function(item) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        state = item.get('state');
+
+    if (state !== SC.FileUploadQueue.QUEUED && state !== SC.FileUploadQueue.UPLOADING) { return NO; }
+
+    if (item.get('transport')) { item.get('transport').abort(); }
+
+    item.beginPropertyChanges();
+    item.set('transport', null);
+    item.set('bytesSent', 0);
+    item.set('state', SC.FileUploadQueue.CANCELLED);
+    item.endPropertyChanges();
+
+    this.invokeDelegateMethod(del, 'fileUploadQueueDidCancelItem', this, item);
+    this._uploadNext();
+
+    return YES;
+  },
+
+  /**
+    Cancels every queued and uploading item.
+
+    @returns {SC.FileUploadQueue} receiver
+    */
+  cancelAll: function() {
+    var content = this.get('content').slice(),
+        i;
+
+    // Don't start the next upload as each is cancelled
+    this.set('isRunning', NO);
+    for (i = 0; i < content.length; i++) {
+      this.cancel(content[i]);
+    }
+
+    return this;
+  },
+
+  /**
+    Queues a failed or cancelled item again.
+
+    @param item {SC.FileUploadQueueItem} The item to retry.
+    @returns {Boolean} YES if the item was queued
+    */
+  retry: function(item) {
+    var state = item.get('state');
+
+    if (state !== SC.FileUploadQueue.FAILED && state !== SC.FileUploadQueue.CANCELLED) { return NO; }
+
+    item.beginPropertyChanges();
+    item.set('error', null);
+    item.set('bytesSent', 0);
+    item.set('state', SC.FileUploadQueue.QUEUED);
+    item.endPropertyChanges();
+
+    this._uploadNext();
+
+    return YES;
+  },
+
+  /**
+    Cancels the item if necessary and removes it from the content.
+
+    @param item {SC.FileUploadQueueItem} The item to remove.
+    @returns {SC.FileUploadQueue} receiver
+    */
+  removeItem: function(item) {
+    this.cancel(item);
+    this.get('content').removeObject(item);
+    this._queueDidChange();
+
+    return this;
+  },
+
+  /**
+    Creates the transport that uploads the item's file.
+
+    @param item {SC.FileUploadQueueItem} The item to upload.
+    @returns {SC.FileUploadTransport} the transport
+    */
+  createTransport: function(item) {
+    var uuid = "";
+    for (var i = 0; i < 24; i++) {
+      uuid += Math.floor(Math.random() * 16);
+    }
+
+    return this.get('uploadTransport').create({
+      delegate: this,
+      url: this.get('formAction'),
+      uuid: uuid,
+      fields: (this.get('hiddenInputs') || []).concat(item.get('fields') || []),
+      files: [{ name: this.get('inputName'), file: item.get('file'), filename: item.get('filename') }],
+      responseParser: this.get('responseParser')
+    });
+  },
+
+  /** @private */
+  _uploadNext: function() {
+    var content = this.get('content'),
+        max = this.get('maxConcurrentUploads'),
+        uploading = 0,
+        item, i, len;
+
+    for (i = 0, len = content.get('length'); i < len; i++) {
+      if (content.objectAt(i).get('state') === SC.FileUploadQueue.UPLOADING) { uploading++; }
+    }
+
+    for (i = 0; i < len && uploading < max && this.get('isRunning'); i++) {
+      item = content.objectAt(i);
+      if (item.get('state') === SC.FileUploadQueue.QUEUED && this._uploadItem(item)) { uploading++; }
+    }
+
+    this._queueDidChange();
+  },
+
+  /** @private
+    Starts uploading the item and returns YES, or marks it FAILED and returns NO if its transport
+    can't be created or started.
+  */
+  _uploadItem: function(item) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        transport;
+
+    try {
+      transport = this.createTransport(item);
+    } catch(err) {
+      this._itemDidFail(item, SC.FileUploadError.error(SC.FileUploadError.SEND, 'Unable to start the file upload. %@'.fmt(err)));
+      return NO;
+    }
+
+    item.beginPropertyChanges();
+    item.set('transport', transport);
+    item.set('bytesSent', 0);
+    item.set('state', SC.FileUploadQueue.UPLOADING);
+    item.endPropertyChanges();
+
+    this.invokeDelegateMethod(del, 'fileUploadQueueDidStartItem', this, item);
+
+    try {
+      transport.send();
+    } catch(err) {
+      transport.abort();
+      this._itemDidFail(item, SC.FileUploadError.error(SC.FileUploadError.SEND, 'Unable to start the file upload. %@'.fmt(err)));
+      return NO;
+    }
+
+    return YES;
+  },
+
+  /** @private */
+  _itemDidFail: function(item, error) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+
+    item.beginPropertyChanges();
+    item.set('transport', null);
+    item.set('error', error);
+    item.set('state', SC.FileUploadQueue.FAILED);
+    item.endPropertyChanges();
+
+    this.invokeDelegateMethod(del, 'fileUploadQueueDidFailItem', this, item, error);
+  },
+
+  /** @private */
+  _itemForTransport: function(transport) {
+    var content = this.get('content'),
+        i, len;
+
+    for (i = 0, len = content.get('length'); i < len; i++) {
+      if (content.objectAt(i).get('transport') === transport) { return content.objectAt(i); }
+    }
+
+    return null;
+  },
+
+  /** @private
+    Updates isUploading and progress, and notifies the delegate once nothing is left to upload.
+  */
+  _queueDidChange: function() {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        content = this.get('content'),
+        wasUploading = this.get('isUploading'),
+        isUploading = NO,
+        hasQueued = NO,
+        sent = 0,
+        total = 0,
+        item, state, i, len;
+
+    for (i = 0, len = content.get('length'); i < len; i++) {
+      item = content.objectAt(i);
+      state = item.get('state');
+
+      if (state === SC.FileUploadQueue.UPLOADING) { isUploading = YES; }
+      if (state === SC.FileUploadQueue.QUEUED) { hasQueued = YES; }
+
+      if (state !== SC.FileUploadQueue.CANCELLED) {
+        total += item.get('size') || 0;
+        sent += state === SC.FileUploadQueue.DONE ? (item.get('size') || 0) : item.get('bytesSent');
+      }
+    }
+
+    this.beginPropertyChanges();
+    this.setIfChanged('isUploading', isUploading);
+    this.setIfChanged('progress', total > 0 ? sent / total : 0);
+    this.endPropertyChanges();
+
+    if (wasUploading && !isUploading && !(hasQueued && this.get('isRunning'))) {
+      this.invokeDelegateMethod(del, 'fileUploadQueueDidFinish', this);
+    }
+  },
+
+  /** FileUploadTransportDelegate methods */
+  uploadTransportDidProgress: function(transport, loaded, total) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        item = this._itemForTransport(transport);
+
+    if (!item) { return; }
+
+    item.set('bytesSent', loaded);
+    this._queueDidChange();
+    this.invokeDelegateMethod(del, 'fileUploadQueueDidProgressItem', this, item, loaded, total);
+  },
+
+  uploadTransportDidComplete: function(transport, result, response) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        item = this._itemForTransport(transport);
+
+    if (!item) { return; }
+
+    item.beginPropertyChanges();
+    item.set('transport', null);
+    item.set('result', result);
+    item.set('bytesSent', item.get('size') || 0);
+    item.set('state', SC.FileUploadQueue.DONE);
+    item.endPropertyChanges();
+
+    this.invokeDelegateMethod(del, 'fileUploadQueueDidCompleteItem', this, item, result, response);
+    this._uploadNext();
+  },
+
+  uploadTransportDidFail: function(transport, error) {
+    var item = this._itemForTransport(transport);
+
+    if (!item) { return; }
+
+    this._itemDidFail(item, error);
+    this._uploadNext();
+  },
+
+  /** Own FileUploadQueueDelegate methods */
+  fileUploadQueueDidStartItem: function(queue, item) {},
+
+  fileUploadQueueDidProgressItem: function(queue, item, loaded, total) {},
+
+  fileUploadQueueDidCompleteItem: function(queue, item, result, response) {},
+
+  fileUploadQueueDidFailItem: function(queue, item, error) {},
+
+  fileUploadQueueDidCancelItem: function(queue, item) {},
+
+  fileUploadQueueDidFinish: function(queue) {}
+
+});
+
+SC.mixin(SC.FileUploadQueue, {
+
+  /** The file is waiting to be uploaded. */
+  QUEUED: 'queued',
+
+  /** The file is being uploaded. */
+  UPLOADING: 'uploading',
+
+  /** The file was uploaded. */
+  DONE: 'done',
+
+  /** The upload failed, see the item's error. */
+  FAILED: 'failed',
+
+  /** The upload was cancelled. */
+  CANCELLED: 'cancelled'
+
+});
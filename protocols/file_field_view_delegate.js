@@ -29,8 +29,37 @@ SC.FileFieldViewDelegate = {
 
   fileFieldViewDidOpenFileSelect: function(fileFieldView) {},
 
+  /**
+      Called when the selection of one of the file field view's inputs changes.  The value is
+      the name of the selected file, or an array of file descriptors (hashes with the name, size
+      and type of each file) when the file field view's allowsMultipleSelection is set.
+
+      When a file is removed with removeFile(), the value is null.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param value {String|Array} The new selection, empty if the selection was cleared.
+      @param previousValue {String|Array} The previous selection.
+      @returns {void}
+    */
   fileFieldValueDidChange: function(fileFieldView, value, previousValue) {},
 
+  /**
+      Called for each selected file that doesn't pass the file field view's acceptedTypes,
+      maxFileSize or minFileSize checks, that is beyond the numberOfFiles files allowed when
+      allowsMultipleSelection is set, or that is in such a selection of fewer than minNumberOfFiles
+      files.  The selection is cleared, so it won't be submitted.
+
+      The reason is one of SC.FileFieldView.REJECT_TYPE, SC.FileFieldView.REJECT_TOO_LARGE,
+      SC.FileFieldView.REJECT_TOO_SMALL, SC.FileFieldView.REJECT_TOO_MANY or
+      SC.FileFieldView.REJECT_TOO_FEW.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param file {File} The rejected file, or a hash with only its name in browsers without the File API.
+      @param reason {String} Why the file was rejected.
+      @returns {void}
+    */
+  fileFieldViewDidRejectFile: function(fileFieldView, file, reason) {},
+
   /**
       Called before the file field view submits its form.
 
@@ -51,30 +80,128 @@ SC.FileFieldViewDelegate = {
     */
   fileFieldViewWillSubmit: function(fileFieldView) {},
 
+  /**
+      Called before each file is passed through the file field view's fileTransforms (and image
+      resizing, if maxImageWidth or maxImageHeight is set) when it is submitted.  It isn't called
+      when there are no transforms to run.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param file {File} The file about to be transformed.
+      @returns {void}
+    */
+  fileFieldViewWillTransform: function(fileFieldView, file) {},
+
+  /**
+      Called with the checksums of each file when the file field view's checksumAlgorithms is set,
+      before the file is sent.  The checksums have the hex and base64 encodings of each digest,
+      for example { sha256: { hex: '...', base64: '...' } }.  See SC.FileChecksum.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param file {File|Blob} The file that will be sent, after any transforms.
+      @param checksums {Hash} The checksums by algorithm.
+      @returns {void}
+    */
+  fileFieldViewDidComputeChecksums: function(fileFieldView, file, checksums) {},
+
+
+  /**
+      Called before each file is sent when the file field view's uploadTransport is 'presigned',
+      to get the presigned url and fields to post the file directly to an S3-compatible object
+      store.  See SC.FileUploadPresignedTransport for the format of the presigned post.
+
+      Return the presigned post, or, if it must first be requested from your server, return null
+      and call callback with the presigned post once you have it.  Calling callback with null
+      fails the upload.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param file {File} The file about to be sent.
+      @param callback {Function} Call with the presigned post if it isn't returned.
+      @returns {Hash} the presigned post, with its url and fields, or null
+    */
+  fileFieldViewPresignedPostForFile: function(fileFieldView, file, callback) {
+    return null;
+  },
 
   /**
-      Called after the file field view submits its form, but before the upload completes.
-      This is a useful time to start polling the server for progress if your server has
-      been configured to support this.
+      Called when the upload starts, before the transport sends the files, so it always
+      comes before fileFieldViewDidComplete or fileFieldViewDidFail.  This is a useful time to start polling the server for progress if your server has
+      been configured to support this.  Alternatively, set the file field view's progressURL
+      and it will poll the server for you (see SC.FileUploadProgressPoller).
 
       @param fileFieldView {SC.FileFieldView} The file field view.
+      @param uuid {String} The X-Progress-ID sent with the upload, or null if the files were handed to the uploadQueue.
       @returns {void}
     */
   fileFieldViewDidSubmit: function(fileFieldView, uuid) {},
 
   /**
-      Called after the upload completes. The result is the body element of the hidden iframe
-      used to capture the response.  You will need to write a tiny bit of code to parse this
-      result to match your server's response and determine the success or failure of the
-      upload.
+      Called periodically while the files are being uploaded.  Progress is reported by
+      transports that can measure it, such as the XMLHttpRequest transport (see SC.FileFieldView's
+      uploadTransport), or by polling the server when SC.FileFieldView's progressURL is set.
+
+      The same values are available on the file field view as the observable uploadProgress,
+      bytesSent and bytesTotal properties.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param loaded {Number} The number of bytes sent so far.
+      @param total {Number} The total number of bytes to send.
+      @returns {void}
+    */
+  fileFieldViewDidProgress: function(fileFieldView, loaded, total) {},
+
+  /**
+      Called after an upload in progress was stopped with the file field view's abortUpload().
+      The file field view has been re-enabled and its selection is unchanged.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @returns {void}
+    */
+  fileFieldViewDidCancel: function(fileFieldView) {},
+
+  /**
+      Called before a failed upload is automatically retried (see the file field view's
+      maxRetries).  Only network, timeout and 5xx HTTP status failures are retried.
+
+      You can use this method to prevent the retry, in which case fileFieldViewDidFail is called,
+      or to change how long to wait before retrying.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param error {SC.FileUploadError} The reason for the failure.
+      @param attempt {Number} The retry attempt, starting at 1.
+      @returns {Boolean|Number} YES to retry after the file field view's backoff delay, a number of milliseconds to retry after that delay instead or NO to give up.
+    */
+  fileFieldViewShouldRetry: function(fileFieldView, error, attempt) {
+    return YES;
+  },
+
+  /**
+      Called when the upload fails and won't be retried.  The file field view has been re-enabled and its selection is
+      unchanged, so the upload may be submitted again.
+
+      The error's type is one of SC.FileUploadError.PARSE, SC.FileUploadError.NETWORK,
+      SC.FileUploadError.HTTP_STATUS, SC.FileUploadError.TIMEOUT, SC.FileUploadError.TRANSFORM,
+      SC.FileUploadError.PRESIGN or SC.FileUploadError.SEND (see SC.FileUploadError).  Its status
+      and response hold the HTTP status and raw text of the server's response when available.
+
+      @param fileFieldView {SC.FileFieldView} The file field view.
+      @param error {SC.FileUploadError} The reason for the failure.
+      @returns {void}
+    */
+  fileFieldViewDidFail: function(fileFieldView, error) {},
+
+  /**
+      Called after the upload completes. The result is the server's response parsed by the file
+      field view's responseParser, which by default parses JSON.
 
-      For example, if the server returns a JSON encoded string, you may do something like:
-        var parsedResult = JSON.parse(result.innerHTML);
+      If the upload was sent with XMLHttpRequest (see SC.FileFieldView's uploadTransport), the
+      response contains the status, statusText, headers and text of the server's response.  The
+      hidden iframe transport can't provide these, so response will be null.
 
       @param fileFieldView {SC.FileFieldView} The file field view.
-      @param result {HTMLBodyElement} The body element containing the server's response
+      @param result {Object} The parsed response from the server
+      @param response {Hash} The status, statusText, headers and text of the response or null
       @returns {void}
     */
-  fileFieldViewDidComplete: function(fileFieldView, result) {}
+  fileFieldViewDidComplete: function(fileFieldView, result, response) {}
 
 };
@@ -0,0 +1,37 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/**
+  @namespace
+
+  The progress poller delegate receives the updates that an SC.FileUploadProgressPoller reads
+  from the server's upload progress module.
+
+  @since SproutCore 1.0
+*/
+SC.FileUploadProgressPollerDelegate = {
+
+  /**
+      Called each time the server reports that the upload is in progress.
+
+      @param poller {SC.FileUploadProgressPoller} The poller.
+      @param received {Number} The number of bytes received by the server.
+      @param size {Number} The total number of bytes being uploaded.
+      @returns {void}
+    */
+  progressPollerDidUpdate: function(poller, received, size) {},
+
+  /**
+      Called when the server reports that the upload is done or has failed.  The poller has
+      already stopped at this point.
+
+      @param poller {SC.FileUploadProgressPoller} The poller.
+      @param progress {Hash} The last response from the server, progress.state is either "done" or "error".
+      @returns {void}
+    */
+  progressPollerDidFinish: function(poller, progress) {}
+
+};
@@ -0,0 +1,77 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/**
+  @namespace
+
+  The upload queue delegate receives notifications from an SC.FileUploadQueue as each of its
+  files is uploaded.  The state, progress, result and error of each file are also available as
+  observable properties of the SC.FileUploadQueueItem.
+
+  @since SproutCore 1.0
+*/
+SC.FileUploadQueueDelegate = {
+
+  /**
+      Called when the upload of a file starts.
+
+      @param queue {SC.FileUploadQueue} The upload queue.
+      @param item {SC.FileUploadQueueItem} The item being uploaded.
+      @returns {void}
+    */
+  fileUploadQueueDidStartItem: function(queue, item) {},
+
+  /**
+      Called periodically while a file is being uploaded.
+
+      @param queue {SC.FileUploadQueue} The upload queue.
+      @param item {SC.FileUploadQueueItem} The item being uploaded.
+      @param loaded {Number} The number of bytes sent so far.
+      @param total {Number} The total number of bytes to send.
+      @returns {void}
+    */
+  fileUploadQueueDidProgressItem: function(queue, item, loaded, total) {},
+
+  /**
+      Called when the upload of a file completes.
+
+      @param queue {SC.FileUploadQueue} The upload queue.
+      @param item {SC.FileUploadQueueItem} The uploaded item.
+      @param result {Object} The parsed response from the server.
+      @param response {Hash} The status, statusText, headers and text of the response.
+      @returns {void}
+    */
+  fileUploadQueueDidCompleteItem: function(queue, item, result, response) {},
+
+  /**
+      Called when the upload of a file fails.  The other files are not affected and the item may
+      be queued again with the queue's retry().
+
+      @param queue {SC.FileUploadQueue} The upload queue.
+      @param item {SC.FileUploadQueueItem} The failed item.
+      @param error {SC.FileUploadError} The reason for the failure.
+      @returns {void}
+    */
+  fileUploadQueueDidFailItem: function(queue, item, error) {},
+
+  /**
+      Called when a queued or uploading file is cancelled.
+
+      @param queue {SC.FileUploadQueue} The upload queue.
+      @param item {SC.FileUploadQueueItem} The cancelled item.
+      @returns {void}
+    */
+  fileUploadQueueDidCancelItem: function(queue, item) {},
+
+  /**
+      Called when the last upload in progress ends and there are no more files to upload.
+
+      @param queue {SC.FileUploadQueue} The upload queue.
+      @returns {void}
+    */
+  fileUploadQueueDidFinish: function(queue) {}
+
+};
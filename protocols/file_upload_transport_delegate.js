@@ -0,0 +1,64 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/**
+  @namespace
+
+  The file upload transport delegate receives notifications from a transport (see
+  SC.FileUploadTransport) as its upload proceeds.  SC.FileFieldView is the delegate of the
+  transports it creates and relays these notifications to its own delegate.
+
+  @since SproutCore 1.0
+*/
+SC.FileUploadTransportDelegate = {
+
+  /**
+      Called periodically while the files are being sent.  Not every transport is able to report
+      progress.
+
+      @param transport {SC.FileUploadTransport} The transport.
+      @param loaded {Number} The number of bytes sent so far.
+      @param total {Number} The total number of bytes to send.
+      @returns {void}
+    */
+  uploadTransportDidProgress: function(transport, loaded, total) {},
+
+  /**
+      Called by SC.FileUploadPresignedTransport before it sends each file, to get the presigned
+      url and fields to post the file with.
+
+      Return the presigned post, or, if it must first be requested from your server, return null
+      and call callback with the presigned post once you have it.
+
+      @param transport {SC.FileUploadTransport} The transport.
+      @param file {File} The file about to be sent.
+      @param callback {Function} Call with the presigned post if it isn't returned.
+      @returns {Hash} the presigned post, with its url and fields, or null
+    */
+  uploadTransportPresignedPostForFile: function(transport, file, callback) {
+    return null;
+  },
+
+  /**
+      Called when the upload completes.
+
+      @param transport {SC.FileUploadTransport} The transport.
+      @param result {Object} The parsed response from the server.
+      @param response {Hash} The status, statusText, headers and text of the response or null if the transport can't provide them.
+      @returns {void}
+    */
+  uploadTransportDidComplete: function(transport, result, response) {},
+
+  /**
+      Called when the upload fails.
+
+      @param transport {SC.FileUploadTransport} The transport.
+      @param error {SC.FileUploadError} The reason for the failure.
+      @returns {void}
+    */
+  uploadTransportDidFail: function(transport, error) {}
+
+};
@@ -0,0 +1,379 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/** @class
+
+  Computes checksums of a file.  The file is read in chunks of chunkSize bytes and each chunk is
+  added to the digests before the next is read, so that large files can be hashed without holding
+  them in memory or blocking the browser for long.
+
+  The supported algorithms are 'sha256' and 'md5'.  The result passed to the callback of compute()
+  has the hex and base64 encodings of each digest, for example:
+
+    {
+      sha256: { hex: 'ba7816bf...', base64: 'ungWv48B...' },
+      md5: { hex: '90015098...', base64: 'kAFQmDzS...' }
+    }
+
+  SC.FileFieldView computes checksums of the files it uploads when its checksumAlgorithms is set.
+
+  @extends SC.Object
+  @since SproutCore 1.0
+*/
+SC.FileChecksum = SC.Object.extend({
+
+  /**
+    The algorithms to compute.
+
+    @property {Array}
+    */
+  algorithms: ['sha256'],
+
+  /**
+    The number of bytes read at a time.
+
+    @property {Number}
+    */
+  chunkSize: 1048576,
+
+  /**
+    Computes the checksums of the file.  The callback is called with the checksums, or with null
+    and the error if the file can't be read.
+
+    @param file {File|Blob} The file.
+    @param callback {Function} The function to call with the result.
+    @returns {SC.FileChecksum} receiver
+    */
+  compute: function(file, callback) {
+    var algorithms = this.get('algorithms'),
+        chunkSize = this.get('chunkSize'),
+        reader = new FileReader(),
+        hashers = {},
+        offset = 0,
+        self = this,
+        readChunk, i;
+
+    for (i = 0; i < algorithms.length; i++) {
+      if (!SC.FileChecksum.hashers[algorithms[i]]) { throw new Error('Unknown checksum algorithm "%@".'.fmt(algorithms[i])); }
+      hashers[algorithms[i]] = new SC.FileChecksum.hashers[algorithms[i]]();
+    }
+
+    this._isCancelled = NO;
+
+    readChunk = function() {
+      var ret = {},
+          digest, algorithm;
+
+      if (self._isCancelled) { return; }
+
+      if (offset < file.size) {
+        reader.readAsArrayBuffer(file.slice(offset, offset + chunkSize));
+        return;
+      }
+
+      for (algorithm in hashers) {
+        if (!hashers.hasOwnProperty(algorithm)) { continue; }
+
+        digest = hashers[algorithm].digest();
+        ret[algorithm] = { hex: SC.FileChecksum.hex(digest), base64: SC.FileChecksum.base64(digest) };
+      }
+
+      callback(ret);
+    };
+
+    reader.onload = function() {
+      var bytes = new Uint8Array(reader.result),
+          algorithm;
+
+      for (algorithm in hashers) {
+        if (hashers.hasOwnProperty(algorithm)) { hashers[algorithm].update(bytes); }
+      }
+
+      offset += bytes.length;
+      readChunk();
+    };
+
+    reader.onerror = function() {
+      if (!self._isCancelled) { callback(null, reader.error); }
+    };
+
+    readChunk();
+
+    return this;
+  },
+
+  /**
+    Stops reading the file.  The callback of compute() won't be called.
+
+    @returns {SC.FileChecksum} receiver
+    */
+  cancel: function() {
+    this._isCancelled = YES;
+    return this;
+  }
+
+});
+
+/** @private
+  The buffering shared by the hashers, which process 64 byte blocks.
+*/
+SC.FileChecksum.BlockHasher = {
+
+  /**
+    Adds the bytes to the digest.
+
+    @param bytes {Uint8Array}
+    @returns {Object} receiver
+  */
+  update: function(bytes) {
+    var buffer = this._buffer,
+        len = bytes.length,
+        i = 0;
+
+    this._length += len;
+
+    // Fill up the partial block first
+    if (this._bufferLength > 0) {
+      while (i < len && this._bufferLength < 64) { buffer[this._bufferLength++] = bytes[i++]; }
+      if (this._bufferLength < 64) { return this; }
+
+      this._block(buffer, 0);
+      this._bufferLength = 0;
+    }
+
+    for (; i + 64 <= len; i += 64) { this._block(bytes, i); }
+    while (i < len) { buffer[this._bufferLength++] = bytes[i++]; }
+
+    return this;
+  },
+
+  /**
+    Pads the message, completing the digest.
+
+    @returns {Uint8Array} the digest
+  */
+  digest: function() {
+    var bitLength = this._length * 8,
+        high = Math.floor(bitLength / 0x100000000),
+        low = bitLength >>> 0,
+        padding = new Uint8Array((this._bufferLength < 56 ? 56 : 120) - this._bufferLength + 8),
+        end = padding.length,
+        i;
+
+    padding[0] = 0x80;
+    for (i = 0; i < 4; i++) {
+      if (this._isBigEndian) {
+        padding[end - 1 - i] = (low >>> (i * 8)) & 0xFF;
+        padding[end - 5 - i] = (high >>> (i * 8)) & 0xFF;
+      } else {
+        padding[end - 8 + i] = (low >>> (i * 8)) & 0xFF;
+        padding[end - 4 + i] = (high >>> (i * 8)) & 0xFF;
+      }
+    }
+    this.update(padding);
+
+    return this._output();
+  },
+
+  /** @private */
+  _output: function() {
+    var state = this._state,
+        ret = new Uint8Array(state.length * 4),
+        i, j;
+
+    for (i = 0; i < state.length; i++) {
+      for (j = 0; j < 4; j++) {
+        ret[(i * 4) + j] = (state[i] >>> (this._isBigEndian ? 24 - (j * 8) : j * 8)) & 0xFF;
+      }
+    }
+
+    return ret;
+  }
+
+};
+
+/** @private */
+SC.FileChecksum.SHA256 = function() {
+  this._state = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  this._buffer = new Uint8Array(64);
+  this._bufferLength = 0;
+  this._length = 0;
+  this._words = new Array(64);
+};
+
+SC.FileChecksum.SHA256.prototype = SC.mixin({
+
+  _isBigEndian: YES,
+
+  _constants: [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ],
+
+  /** @private */
+  _block: function(bytes, offset) {
+    var w = this._words,
+        k = this._constants,
+        state = this._state,
+        a = state[0], b = state[1], c = state[2], d = state[3],
+        e = state[4], f = state[5], g = state[6], h = state[7],
+        s0, s1, t1, t2, x, i;
+
+    for (i = 0; i < 16; i++, offset += 4) {
+      w[i] = (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    }
+
+    for (i = 16; i < 64; i++) {
+      x = w[i - 15];
+      s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      x = w[i - 2];
+      s1 = ((x >>> 17) | (x << 15)) ^ ((x >>> 19) | (x << 13)) ^ (x >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    for (i = 0; i < 64; i++) {
+      s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      t1 = (h + s1 + ((e & f) ^ (~e & g)) + k[i] + w[i]) | 0;
+      s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+    state[5] = (state[5] + f) | 0;
+    state[6] = (state[6] + g) | 0;
+    state[7] = (state[7] + h) | 0;
+  }
+
+}, SC.FileChecksum.BlockHasher);
+
+/** @private */
+SC.FileChecksum.MD5 = function() {
+  this._state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  this._buffer = new Uint8Array(64);
+  this._bufferLength = 0;
+  this._length = 0;
+  this._words = new Array(16);
+};
+
+SC.FileChecksum.MD5.prototype = SC.mixin({
+
+  _isBigEndian: NO,
+
+  _shifts: [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+  ],
+
+  _constants: (function() {
+    var ret = [],
+        i;
+
+    for (i = 0; i < 64; i++) { ret.push((Math.abs(Math.sin(i + 1)) * 0x100000000) | 0); }
+
+    return ret;
+  })(),
+
+  /** @private */
+  _block: function(bytes, offset) {
+    var x = this._words,
+        k = this._constants,
+        s = this._shifts,
+        state = this._state,
+        a = state[0], b = state[1], c = state[2], d = state[3],
+        f, g, t, i;
+
+    for (i = 0; i < 16; i++, offset += 4) {
+      x[i] = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+    }
+
+    for (i = 0; i < 64; i++) {
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = ((5 * i) + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = ((3 * i) + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      t = d;
+      d = c;
+      c = b;
+      f = (a + f + k[i] + x[g]) | 0;
+      b = (b + ((f << s[i]) | (f >>> (32 - s[i])))) | 0;
+      a = t;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+}, SC.FileChecksum.BlockHasher);
+
+SC.mixin(SC.FileChecksum, {
+
+  /**
+    The hashers for each algorithm.
+  */
+  hashers: {
+    sha256: SC.FileChecksum.SHA256,
+    md5: SC.FileChecksum.MD5
+  },
+
+  /**
+    Encodes the bytes as lowercase hex.
+
+    @param bytes {Uint8Array}
+    @returns {String}
+  */
+  hex: function(bytes) {
+    var ret = '',
+        i;
+
+    for (i = 0; i < bytes.length; i++) { ret += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16); }
+
+    return ret;
+  },
+
+  /**
+    Encodes the bytes as base64.
+
+    @param bytes {Uint8Array}
+    @returns {String}
+  */
+  base64: function(bytes) {
+    return window.btoa(String.fromCharCode.apply(null, bytes));
+  }
+
+});
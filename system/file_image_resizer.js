@@ -0,0 +1,245 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/** @class
+
+  Shrinks an image file to fit within maxWidth and maxHeight by drawing it to a canvas and
+  re-encoding it with the given format and quality.  The EXIF orientation of JPEG images is
+  applied, so that the result is the right way up even though the orientation tag is lost.
+
+  Files that aren't JPEG, PNG or WebP images, or that can't be decoded, are returned unchanged, as
+  are images that already fit and need neither rotating nor converting.
+
+  SC.FileFieldView uses a resizer when its maxImageWidth or maxImageHeight is set.
+
+  @extends SC.Object
+  @since SproutCore 1.0
+*/
+SC.FileImageResizer = SC.Object.extend({
+
+  /**
+    The maximum width of the resized image in pixels or null for no limit.
+
+    @property {Number}
+    */
+  maxWidth: null,
+
+  /**
+    The maximum height of the resized image in pixels or null for no limit.
+
+    @property {Number}
+    */
+  maxHeight: null,
+
+  /**
+    The quality, from 0 to 1, used to encode lossy formats.
+
+    @property {Number}
+    */
+  quality: 0.92,
+
+  /**
+    The MIME type to encode the resized image as, such as 'image/jpeg', or null to keep the type of
+    the original file.
+
+    @property {String}
+    */
+  format: null,
+
+  /**
+    Resizes the file.  The callback is called with the resulting Blob, or with the original file if
+    it isn't resized.
+
+    @param file {File|Blob} The image file.
+    @param callback {Function} The function to call with the result.
+    */
+  resize: function(file, callback) {
+    var self = this;
+
+    if (!SC.FileImageResizer.isSupported() || SC.FileImageResizer.types.indexOf(file.type) < 0) {
+      callback(file);
+      return;
+    }
+
+    if (file.type !== 'image/jpeg' || SC.FileImageResizer.browserAppliesOrientation()) {
+      this._resizeWithOrientation(file, 1, callback);
+      return;
+    }
+
+    // The orientation is found within the first segments of the JPEG
+    var reader = new FileReader();
+    reader.onload = function() {
+      self._resizeWithOrientation(file, self.orientationFor(reader.result), callback);
+    };
+    reader.onerror = function() {
+      self._resizeWithOrientation(file, 1, callback);
+    };
+    reader.readAsArrayBuffer(file.slice(0, 65536));
+  },
+
+  /**
+    Reads the EXIF orientation of a JPEG image.
+
+    @param buffer {ArrayBuffer} The start of the JPEG file.
+    @returns {Number} the orientation, from 1 to 8, or 1 if it isn't set
+    */
+  orientationFor: function(buffer) {
+    var view = new DataView(buffer),
+        offset = 2,
+        marker, isLittleEndian, tiffOffset, ifdOffset, entry, i, len;
+
+    try {
+      if (view.getUint16(0) !== 0xFFD8) { return 1; }
+
+      while (offset < view.byteLength) {
+        marker = view.getUint16(offset);
+
+        if (marker === 0xFFE1) {
+          // APP1 segment: "Exif\0\0" followed by a TIFF header
+          if (view.getUint32(offset + 4) !== 0x45786966) { return 1; }
+
+          tiffOffset = offset + 10;
+          isLittleEndian = view.getUint16(tiffOffset) === 0x4949;
+          ifdOffset = tiffOffset + view.getUint32(tiffOffset + 4, isLittleEndian);
+
+          for (i = 0, len = view.getUint16(ifdOffset, isLittleEndian); i < len; i++) {
+            entry = ifdOffset + 2 + (i * 12);
+            if (view.getUint16(entry, isLittleEndian) === 0x0112) {
+              return view.getUint16(entry + 8, isLittleEndian);
+            }
+          }
+
+          return 1;
+        } else if ((marker & 0xFF00) !== 0xFF00) {
+          return 1;
+        }
+
+        offset += 2 + view.getUint16(offset + 2);
+      }
+    } catch (e) {
+      // The buffer ended before the orientation was found
+    }
+
+    return 1;
+  },
+
+  /** @private */
+  _resizeWithOrientation: function(file, orientation, callback) {
+    var self = this,
+        url = window.URL.createObjectURL(file),
+        image = new Image();
+
+    image.onload = function() {
+      window.URL.revokeObjectURL(url);
+      self._drawImage(file, image, orientation, callback);
+    };
+    image.onerror = function() {
+      window.URL.revokeObjectURL(url);
+      callback(file);
+    };
+    image.src = url;
+  },
+
+  /** @private */
+  _drawImage: function(file, image, orientation, callback) {
+    var maxWidth = this.get('maxWidth'),
+        maxHeight = this.get('maxHeight'),
+        format = this.get('format') || file.type,
+        isRotated = orientation >= 5,
+        orientedWidth = isRotated ? image.naturalHeight : image.naturalWidth,
+        orientedHeight = isRotated ? image.naturalWidth : image.naturalHeight,
+        scale = 1,
+        canvas, context, width, height;
+
+    if (maxWidth && orientedWidth > maxWidth) { scale = Math.min(scale, maxWidth / orientedWidth); }
+    if (maxHeight && orientedHeight > maxHeight) { scale = Math.min(scale, maxHeight / orientedHeight); }
+
+    // Nothing to do
+    if (scale === 1 && orientation <= 1 && format === file.type) {
+      callback(file);
+      return;
+    }
+
+    width = Math.max(1, Math.round(image.naturalWidth * scale));
+    height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    canvas = document.createElement('canvas');
+    canvas.width = isRotated ? height : width;
+    canvas.height = isRotated ? width : height;
+
+    context = canvas.getContext('2d');
+    switch (orientation) {
+    case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: context.transform(-1, 0, 0, -1, width, height); break;
+    case 4: context.transform(1, 0, 0, -1, 0, height); break;
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: context.transform(0, 1, -1, 0, height, 0); break;
+    case 7: context.transform(0, -1, -1, 0, height, width); break;
+    case 8: context.transform(0, -1, 1, 0, 0, width); break;
+    }
+    context.drawImage(image, 0, 0, width, height);
+
+    canvas.toBlob(function(blob) {
+      callback(blob || file);
+    }, format, this.get('quality'));
+  }
+
+});
+
+SC.mixin(SC.FileImageResizer, {
+
+  /**
+    The image types that can be resized.
+  */
+  types: ['image/jpeg', 'image/png', 'image/webp'],
+
+  /**
+    Returns YES if the browser can resize images.
+
+    @returns {Boolean}
+  */
+  isSupported: function() {
+    return !!(window.URL && window.URL.createObjectURL && window.HTMLCanvasElement &&
+      window.HTMLCanvasElement.prototype.toBlob);
+  },
+
+  /**
+    Returns YES if the browser already applies the EXIF orientation when it decodes an image, in
+    which case it must not be applied again.  Some browsers support image-orientation but don't
+    apply it by default, so the computed style of an image is checked.
+
+    @returns {Boolean}
+  */
+  browserAppliesOrientation: function() {
+    var image;
+
+    if (SC.none(this._appliesOrientation)) {
+      image = document.createElement('img');
+      document.body.appendChild(image);
+      this._appliesOrientation = window.getComputedStyle(image).imageOrientation === 'from-image';
+      document.body.removeChild(image);
+    }
+
+    return this._appliesOrientation;
+  },
+
+  /**
+    Returns the file name with its extension changed to match the given image type.
+
+    @param name {String} The file name.
+    @param type {String} The MIME type.
+    @returns {String}
+  */
+  fileNameForType: function(name, type) {
+    var extension = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }[type],
+        dot = name.lastIndexOf('.');
+
+    if (!extension) { return name; }
+
+    return (dot > 0 ? name.slice(0, dot) : name) + '.' + extension;
+  }
+
+});
@@ -0,0 +1,179 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_xhr_transport');
+
+/** @class
+
+  Sends each file in chunks of chunkSize bytes, so that a failed upload of a large file can be
+  resumed rather than started from zero.  The files are sent one after the other.
+
+  Each chunk is POSTed as multipart/form-data (the fields followed by the slice of the file) with
+  these headers (only the file's own fields are sent with it, see fieldsForFile()):
+
+    Content-Range - the bytes of the file in the chunk, e.g. "bytes 0-1048575/5242880"
+    X-Upload-Id   - identifies the file across requests (see uploadIdForFile())
+    X-Chunk-Index - the number of the chunk, starting at 0
+
+  The server's response to the last chunk of the last file is the result of the upload.
+
+  If resumeURL is set, it is queried with a GET before each file is sent, passing the upload id as
+  the uploadId parameter and the X-Upload-Id header.  The server should return JSON such as
+  { "offset": 2097152 } with the number of bytes it has received, and the upload resumes from the
+  last whole chunk the server acknowledged.
+
+  @extends SC.FileUploadXHRTransport
+  @since SproutCore 1.0
+*/
+SC.FileUploadChunkedTransport = SC.FileUploadXHRTransport.extend({
+
+  /**
+    The number of bytes sent in each request.
+
+    @property {Number}
+    */
+  chunkSize: 1048576,
+
+  /**
+    The path to the server's handler reporting how much of an upload it has received.
+
+    @property {String}
+    */
+  resumeURL: null,
+
+  send: function() {
+    // With nothing to slice, send the fields in a single request
+    if (SC.empty(this.get('files'))) { return sc_super(); }
+
+    this._fileIndex = 0;
+    this._bytesBefore = 0;
+    this._sendFile();
+  },
+
+  abort: function() {
+    if (this._resumeRequest) {
+      this._resumeRequest.onload = this._resumeRequest.onerror = null;
+      this._resumeRequest.abort();
+      this._resumeRequest = null;
+    }
+
+    sc_super();
+  },
+
+  /**
+    The first byte to send given the number of bytes the server has received.  This is the start
+    of the last whole chunk received, but the last chunk is always sent so that the server
+    responds with the result.
+
+    @param offset {Number} The number of bytes received.
+    @param size {Number} The size of the file.
+    @returns {Number}
+    */
+  startForOffset: function(offset, size) {
+    var chunkSize = this.get('chunkSize'),
+        lastChunkStart = Math.max(Math.ceil(size / chunkSize) - 1, 0) * chunkSize;
+
+    return Math.min(Math.floor((offset || 0) / chunkSize) * chunkSize, lastChunkStart);
+  },
+
+  /** @private */
+  _sendFile: function() {
+    if (this.get('resumeURL')) {
+      this._queryOffset();
+    } else {
+      this._sendChunk(0);
+    }
+  },
+
+  /** @private */
+  _queryOffset: function() {
+    var url = this.get('resumeURL'),
+        uploadId = this.uploadIdForFile(this._fileIndex),
+        request = new XMLHttpRequest(),
+        self = this;
+
+    // Without a usable answer, start the file over
+    request.onload = function() {
+      var offset = 0;
+
+      if (request.status >= 200 && request.status < 300) {
+        try {
+          offset = JSON.parse(request.responseText).offset;
+        } catch(err) {
+          offset = 0;
+        }
+      }
+
+      self._resumeRequest = null;
+      SC.RunLoop.begin();
+      self._sendChunk(self.startForOffset(offset, self.get('files')[self._fileIndex].file.size));
+      SC.RunLoop.end();
+    };
+
+    request.onerror = function() {
+      self._resumeRequest = null;
+      SC.RunLoop.begin();
+      self._requestDidError();
+      SC.RunLoop.end();
+    };
+
+    this._resumeRequest = request;
+
+    request.open('GET', "%@%@uploadId=%@".fmt(url, url.indexOf('?') === -1 ? '?' : '&', encodeURIComponent(uploadId)), YES);
+    request.setRequestHeader('X-Upload-Id', uploadId);
+    request.send(null);
+  },
+
+  /** @private */
+  _sendChunk: function(start) {
+    var item = this.get('files')[this._fileIndex],
+        file = item.file,
+        size = file.size,
+        chunkSize = this.get('chunkSize'),
+        end = Math.min(start + chunkSize, size),
+        slice = file.slice || file.webkitSlice || file.mozSlice,
+        request;
+
+    this._chunkStart = start;
+    this._chunkEnd = end;
+
+    request = this.createRequest();
+    request.open('POST', this.get('urlWithProgressID'), YES);
+    if (size > 0) { request.setRequestHeader('Content-Range', 'bytes %@-%@/%@'.fmt(start, end - 1, size)); }
+    request.setRequestHeader('X-Upload-Id', this.uploadIdForFile(this._fileIndex));
+    request.setRequestHeader('X-Chunk-Index', Math.floor(start / chunkSize));
+    request.send(this.createFormData([{ name: item.name, file: slice.call(file, start, end), filename: this.filenameFor(item) }], this.fieldsForFile(this._fileIndex)));
+  },
+
+  _requestDidProgress: function(loaded, total) {
+    var chunkLength = this._chunkEnd - this._chunkStart;
+
+    // loaded includes the multipart overhead, so scale it to the chunk
+    this.didProgress(this._bytesBefore + this._chunkStart + (total > 0 ? Math.round(chunkLength * loaded / total) : 0), this.get('totalSize'));
+  },
+
+  _requestDidLoad: function() {
+    var request = this.get('request'),
+        response = this.responseFor(request),
+        error = this.errorForResponse(response),
+        files = this.get('files');
+
+    this.set('request', null);
+
+    if (error) {
+      this.didFail(error);
+    } else if (this._chunkEnd < files[this._fileIndex].file.size) {
+      this._sendChunk(this._chunkEnd);
+    } else if (this._fileIndex < files.length - 1) {
+      this._bytesBefore += files[this._fileIndex].file.size;
+      this._fileIndex++;
+      this._sendFile();
+    } else {
+      this.completeWithText(response.text, response);
+    }
+  }
+
+});
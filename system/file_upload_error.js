@@ -0,0 +1,76 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/** @class
+
+  The error passed to the delegate when an upload fails.  The type describes what went wrong and
+  is one of:
+
+    SC.FileUploadError.PARSE       - the server's response couldn't be read or parsed
+    SC.FileUploadError.NETWORK     - the server couldn't be reached
+    SC.FileUploadError.HTTP_STATUS - the server responded with an unsuccessful HTTP status
+    SC.FileUploadError.TIMEOUT     - the server didn't respond in time
+    SC.FileUploadError.TRANSFORM   - a file couldn't be transformed or read before it was sent
+    SC.FileUploadError.PRESIGN     - no presigned post was provided for a file
+    SC.FileUploadError.SEND        - the transport couldn't be created or couldn't start the upload
+
+  @extends SC.Error
+  @since SproutCore 1.0
+*/
+SC.FileUploadError = SC.Error.extend({
+
+  /**
+    The type of failure.
+
+    @property {String}
+    */
+  type: null,
+
+  /**
+    The HTTP status of the response, if known.
+
+    @property {Number}
+    */
+  status: null,
+
+  /**
+    The raw text of the server's response, if any.
+
+    @property {String}
+    */
+  response: null
+
+});
+
+SC.mixin(SC.FileUploadError, {
+
+  PARSE: 'parse',
+
+  NETWORK: 'network',
+
+  HTTP_STATUS: 'httpStatus',
+
+  TIMEOUT: 'timeout',
+
+  TRANSFORM: 'transform',
+
+  PRESIGN: 'presign',
+
+  SEND: 'send',
+
+  /**
+    Creates a new error of the given type.
+
+    @param type {String} The type of failure.
+    @param message {String} A description of the failure.
+    @param attrs {Hash} Any other properties of the error, such as status and response.
+    @returns {SC.FileUploadError}
+  */
+  error: function(type, message, attrs) {
+    return this.create(SC.mixin({ type: type, message: message, label: type }, attrs));
+  }
+
+});
@@ -0,0 +1,212 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_transport');
+sc_require('views/hidden_input');
+
+/** @class
+
+  Submits the SC.FileFieldView form into a hidden iframe and reads the result back out of the
+  iframe's document (simulated AJAX).  This works in every browser, but provides no HTTP status
+  codes, no response headers and no progress.
+
+  By default, the server must return a plain/text document containing stringified JSON.  Other
+  responses can be read by setting the responseParser: a text/plain document, which browsers
+  display inside a <pre> element, is passed to the parser as its text, an XML document is passed
+  serialized and any other HTML document is passed as the body's innerHTML (use 'wrappedJSON' for
+  JSON wrapped in a <pre> or <textarea> element).
+
+  The fileFieldView property must be set, since its form is submitted and the hidden iframe is
+  appended to it.  The fields matching the view's hiddenInputs update those hidden fields, any
+  other fields, such as the checksums of several files, are each sent as a separate hidden field
+  that is removed once the upload is done.
+
+  @extends SC.FileUploadTransport
+  @since SproutCore 1.0
+*/
+SC.FileUploadIframeTransport = SC.FileUploadTransport.extend({
+
+  sendsFileObjects: NO,
+
+  /**
+    The hidden iframe view receiving the results.
+
+    @property {SC.View}
+    */
+  iframe: null,
+
+  send: function() {
+    var view = this.get('fileFieldView'),
+        form = view._form,
+        fields = this.get('fields'),
+        iframe, hiddenKeys, field;
+
+    // Create the results capturing iframe
+    iframe = this._createIframe();
+
+    // Update the form action
+    form.set('action', this.get('url'));
+
+    // Update any hidden fields
+    if (!SC.empty(fields)) {
+      hiddenKeys = (view.get('hiddenInputs') || []).getEach('key');
+      for (var i = 0, e = fields.get('length'); i < e; i++) {
+        field = fields.objectAt(i);
+        if (hiddenKeys.indexOf(field.key) >= 0) {
+          view.updateHiddenFieldValue(field.key, field.value);
+        } else {
+          this._addField(field.key, field.value);
+        }
+      }
+    }
+
+    // Complete a run loop so that the form target and action are updated before the form is submitted
+    SC.RunLoop.begin();
+    // Set the target of our form to be this iFrame
+    form.set('target', iframe.$()[0].name);
+    // Generate a new unique id, so that the same form could be submitted  twice
+    form.set('uuid', this.get('uuid'));
+    SC.RunLoop.end();
+
+    // Monitor the onload event of the iframe when the upload completes
+    SC.Event.add(iframe.$()[0], "load", this, this._iframeLoad);
+
+    form.$()[0].submit();
+  },
+
+  abort: function() {
+    var iframe = this.get('iframe');
+
+    if (iframe) {
+      SC.Event.remove(iframe.$()[0], 'load', this, this._iframeLoad);
+      this._destroyIframe();
+    }
+  },
+
+  _iframeLoad: function(evt) {
+    var iframeLayer = this.get('iframe').$()[0],
+        result = null;
+
+    // Throw away the results frame once we're done with it
+    this.invokeLast(function() {
+      SC.Event.remove(iframeLayer, 'load', this, this._iframeLoad);
+      this._destroyIframe();
+    });
+
+    try {
+      result = this._iframeContent(iframeLayer);
+    } catch(err) {
+      // The document is not accessible, most likely an error page from another origin
+      result = null;
+    }
+
+    if (SC.none(result)) {
+      this.didFail(SC.FileUploadError.error(SC.FileUploadError.PARSE, 'Unable to retrieve file upload return value. Unknown iframe DOM structure.'));
+    } else {
+      this.completeWithText(result, null);
+    }
+  },
+
+  /** @private */
+  _iframeContent: function(iframeLayer) {
+    var doc = iframeLayer.contentDocument || (iframeLayer.contentWindow ? iframeLayer.contentWindow.document : null),
+        body, firstChild;
+
+    if (!doc) { return null; }
+
+    // An XML response has no body
+    body = doc.body;
+    if (!body) { return doc.documentElement ? new XMLSerializer().serializeToString(doc) : null; }
+
+    firstChild = body.firstChild;
+    if (!firstChild) { return null; }
+
+    if (body.childNodes.length === 1) {
+      // Browsers display a text/plain response inside a <pre>, some as a bare text node
+      if (firstChild.nodeName.toUpperCase() === 'PRE') { return firstChild.textContent || firstChild.innerText; }
+      if (firstChild.nodeType === 3) { return firstChild.data; }
+    }
+
+    return body.innerHTML;
+  },
+
+  _createIframe: function() {
+    var iframe;
+
+    iframe = SC.View.create({
+      tagName: 'iframe',
+
+      classNames: 'sc-file-field-iframe'.w(),
+
+      layout: {
+        height: 1,
+        width: 1
+      },
+
+      displayProperties: 'name'.w(),
+
+      render: function(context, firstTime) {
+        var attributes = {
+          name: SC.guidFor(this),
+          src: 'about:blank',
+          border: 0
+        };
+        context.attr(attributes);
+        sc_super();
+      }
+    });
+
+    // Complete a run loop so that the iframe exists before being referenced
+    SC.RunLoop.begin();
+    this.get('fileFieldView').appendChild(iframe);
+    this.set('iframe', iframe);
+    SC.RunLoop.end();
+
+    return iframe;
+  },
+
+  _destroyIframe: function() {
+    var iframe = this.get('iframe'),
+        view = this.get('fileFieldView');
+
+    if (iframe) {
+      if (iframe.get('parentView') === view) { view.removeChild(iframe); }
+      this.set('iframe', null);
+    }
+
+    this._removeFields();
+  },
+
+  /** @private
+    Adds a hidden field to the form for this upload only.
+  */
+  _addField: function(name, value) {
+    var form = this.get('fileFieldView')._form,
+        field = SC.FileFieldHiddenInputView.create({ name: name, value: value });
+
+    if (!this._fields) { this._fields = []; }
+    this._fields.push(field);
+
+    // Complete a run loop so that the field is in the form before the form is submitted
+    SC.RunLoop.begin();
+    form.appendChild(field);
+    SC.RunLoop.end();
+  },
+
+  /** @private */
+  _removeFields: function() {
+    var fields = this._fields,
+        i;
+
+    if (!fields) { return; }
+
+    for (i = 0; i < fields.length; i++) {
+      if (fields[i].get('parentView')) { fields[i].get('parentView').removeChild(fields[i]); }
+    }
+    this._fields = null;
+  }
+
+});
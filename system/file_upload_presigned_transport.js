@@ -0,0 +1,234 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_xhr_transport');
+
+/** @class
+
+  Uploads each file directly to an S3-compatible object store with a presigned POST policy.  The
+  files are sent one after the other.
+
+  Before each file is sent, the delegate is asked for the presigned url and fields with
+  uploadTransportPresignedPostForFile (SC.FileFieldView forwards this to its own delegate as
+  fileFieldViewPresignedPostForFile).  The presigned post is a hash such as:
+
+    {
+      url: "https://bucket.s3.amazonaws.com/",
+      fields: [
+        { key: "key", value: "uploads/photo.jpg" },
+        { key: "policy", value: "eyJl..." },
+        { key: "x-amz-signature", value: "0d2f..." }
+      ]
+    }
+
+  The fields may also be a hash, in which case they are sent in the hash's order.  The fields are
+  sent in the given order, followed by the file as the last field, as the store requires.  The
+  transport's own fields are not sent, since the policy wouldn't allow them.
+
+  This includes the checksums computed by SC.FileFieldView's checksumAlgorithms.  To have the store
+  verify a checksum, such as with a Content-MD5 field, the presigned post must include it.  The
+  view's delegate receives fileFieldViewDidComputeChecksums before it is asked for the presigned
+  post of the file.
+
+  The store returns either an empty response (204 or 200) or, if the policy sets
+  success_action_status to 201, an XML PostResponse.  Both are parsed into a hash for each file,
+  and the result passed to the delegate is:
+
+    { files: [{ name: "photo.jpg", status: 201, location: "...", bucket: "...", key: "...", etag: "..." }] }
+
+  If the delegate provides no presigned post, or one without a url, the upload fails with an
+  SC.FileUploadError.PRESIGN error, which is not retried.
+
+  @extends SC.FileUploadXHRTransport
+  @since SproutCore 1.0
+*/
+SC.FileUploadPresignedTransport = SC.FileUploadXHRTransport.extend({
+
+  /**
+    The field name of the file, which S3 requires to be 'file'.
+
+    @property {String}
+    */
+  fileFieldName: 'file',
+
+  send: function() {
+    this._fileIndex = 0;
+    this._bytesBefore = 0;
+    this._results = [];
+
+    if (SC.empty(this.get('files'))) {
+      this.didComplete({ files: [] }, null);
+    } else {
+      this._presignFile();
+    }
+  },
+
+  abort: function() {
+    // Ignore a presigned post that arrives after the upload was stopped
+    this._fileIndex = null;
+
+    sc_super();
+  },
+
+  /**
+    Builds the FormData for the presigned post: its fields in order, followed by the file.
+
+    @param presignedPost {Hash} The url and fields returned by the delegate.
+    @param file {File} The file.
+    @param filename {String} The name to send the file as, by default its own name.
+    @returns {FormData}
+    */
+  createPresignedFormData: function(presignedPost, file, filename) {
+    var data = new FormData(),
+        fields = presignedPost.fields || [],
+        i, len, key;
+
+    if (SC.typeOf(fields) === SC.T_ARRAY) {
+      for (i = 0, len = fields.length; i < len; i++) {
+        data.append(fields[i].key, fields[i].value);
+      }
+    } else {
+      for (key in fields) {
+        if (fields.hasOwnProperty(key)) { data.append(key, fields[key]); }
+      }
+    }
+
+    // A Blob has no name of its own
+    filename = filename || file.name;
+    if (filename) {
+      data.append(this.get('fileFieldName'), file, filename);
+    } else {
+      data.append(this.get('fileFieldName'), file);
+    }
+
+    return data;
+  },
+
+  /**
+    Parses the store's response into a hash with the status, location, bucket, key and etag.
+
+    @param response {Hash} The response, see responseFor().
+    @param request {XMLHttpRequest} The request.
+    @returns {Hash}
+    */
+  parsePresignedResponse: function(response, request) {
+    var result = {
+          status: response.status,
+          location: request.getResponseHeader('Location'),
+          bucket: null,
+          key: null,
+          etag: request.getResponseHeader('ETag')
+        },
+        doc;
+
+    if (/\S/.test(response.text || '')) {
+      doc = new DOMParser().parseFromString(response.text, 'application/xml');
+      if (!doc || doc.getElementsByTagName('parsererror').length) { throw new Error('The response is not XML.'); }
+
+      result.location = this._xmlValue(doc, 'Location') || result.location;
+      result.bucket = this._xmlValue(doc, 'Bucket');
+      result.key = this._xmlValue(doc, 'Key');
+      result.etag = this._xmlValue(doc, 'ETag') || result.etag;
+    }
+
+    return result;
+  },
+
+  /** @private */
+  _xmlValue: function(doc, tagName) {
+    var elements = doc.getElementsByTagName(tagName);
+    return elements.length ? elements[0].textContent : null;
+  },
+
+  /** @private */
+  _presignFile: function() {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        fileIndex = this._fileIndex,
+        file = this.get('files')[fileIndex].file,
+        self = this,
+        presignedPost, callback;
+
+    callback = function(presignedPost) {
+      // The upload was stopped or has moved on
+      if (self._fileIndex !== fileIndex || self.get('request')) { return; }
+
+      SC.RunLoop.begin();
+      self._sendFile(presignedPost);
+      SC.RunLoop.end();
+    };
+
+    presignedPost = this.invokeDelegateMethod(del, 'uploadTransportPresignedPostForFile', this, file, callback);
+    if (presignedPost) { this._sendFile(presignedPost); }
+  },
+
+  /** @private */
+  _sendFile: function(presignedPost) {
+    var item = this.get('files')[this._fileIndex],
+        request;
+
+    if (!presignedPost || SC.none(presignedPost.url)) {
+      this.didFail(SC.FileUploadError.error(SC.FileUploadError.PRESIGN, 'No presigned post was provided for %@.'.fmt(this.filenameFor(item))));
+      return;
+    }
+
+    this._presignedPost = presignedPost;
+    request = this.createRequest();
+    request.open('POST', presignedPost.url, YES);
+    request.send(this.createPresignedFormData(presignedPost, item.file, this.filenameFor(item)));
+  },
+
+
+  _requestDidProgress: function(loaded, total) {
+    var size = this.get('files')[this._fileIndex].file.size;
+
+    // loaded includes the fields, so scale it to the file
+    this.didProgress(this._bytesBefore + (total > 0 ? Math.round(size * loaded / total) : 0), this.get('totalSize'));
+  },
+
+  _requestDidLoad: function() {
+    var request = this.get('request'),
+        response = this.responseFor(request),
+        error = this.errorForResponse(response),
+        files = this.get('files'),
+        item = files[this._fileIndex],
+        file = item.file,
+        result;
+
+    this.set('request', null);
+
+    if (error) {
+      this.didFail(error);
+      return;
+    }
+
+    try {
+      result = this.parsePresignedResponse(response, request);
+    } catch(err) {
+      this.didFail(SC.FileUploadError.error(SC.FileUploadError.PARSE, 'Unable to parse file upload return value. %@'.fmt(err), {
+        status: response.status,
+        response: response.text
+      }));
+      return;
+    }
+
+    result.name = this.filenameFor(item);
+    this._results.push(result);
+
+    if (this._fileIndex < files.length - 1) {
+      this._bytesBefore += file.size;
+      this._fileIndex++;
+      this._presignFile();
+    } else {
+      this.didComplete({ files: this._results }, response);
+    }
+  },
+
+  /** Own FileUploadTransportDelegate methods */
+  uploadTransportPresignedPostForFile: function(transport, file, callback) {
+    return null;
+  }
+
+});
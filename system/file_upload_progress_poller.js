@@ -0,0 +1,166 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/** @class
+
+  Periodically queries a server-side upload progress module, such as mod_upload_progress for
+  lighttpd or NginxHttpUploadProgressModule, for the progress of the upload identified by uuid
+  (the X-Progress-ID returned by SC.FileFieldView's submitForm).
+
+  The server is expected to return the standard JSON used by these modules:
+
+    { "state": "uploading", "received": 1234, "size": 56789 }
+
+  where state is one of "starting", "uploading", "done" or "error".  Polling stops automatically
+  once the state is "done" or "error".  The delegate is notified of each update (see
+  SC.FileUploadProgressPollerDelegate).
+
+  SC.FileFieldView creates a poller for you when its progressURL is set and its transport can't
+  report progress itself.
+
+  @extends SC.Object
+  @since SproutCore 1.0
+*/
+SC.FileUploadProgressPoller = SC.Object.extend(SC.DelegateSupport, {
+
+  /**
+    The path to the server's progress handler.
+
+    @property {String}
+    */
+  progressURL: '',
+
+  /**
+    The X-Progress-ID of the upload to query.
+
+    @property {String}
+    */
+  uuid: '',
+
+  /**
+    The number of milliseconds to wait between queries.
+
+    @property {Number}
+    */
+  interval: 1000,
+
+  /**
+    The object that is notified of each update.  See SC.FileUploadProgressPollerDelegate.
+
+    @property {Object}
+    */
+  delegate: null,
+
+  /**
+    YES while the poller is running.
+
+    @property {Boolean}
+    */
+  isPolling: NO,
+
+  /**
+    Starts polling.
+
+    @returns {SC.FileUploadProgressPoller} receiver
+    */
+  start: function() {
+    if (!this.get('isPolling')) {
+      this.set('isPolling', YES);
+      this._schedule();
+    }
+
+    return this;
+  },
+
+  /**
+    Stops polling.  Any response to a query already sent is ignored.
+
+    @returns {SC.FileUploadProgressPoller} receiver
+    */
+  stop: function() {
+    if (this._timer) {
+      this._timer.invalidate();
+      this._timer = null;
+    }
+
+    this.set('isPolling', NO);
+
+    return this;
+  },
+
+  /**
+    Parses the body returned by the server.  Some versions of the nginx module wrap the JSON in
+    parentheses, so these are removed.
+
+    @param body {String} The body of the server's response.
+    @returns {Hash} the progress with state, received and size
+    */
+  parseProgress: function(body) {
+    if (SC.typeOf(body) === SC.T_STRING) {
+      body = JSON.parse(body.replace(/^[\s(]+|[\s);]+$/g, ''));
+    }
+
+    return body;
+  },
+
+  /** @private */
+  _schedule: function() {
+    if (this._timer) { this._timer.invalidate(); }
+
+    this._timer = SC.Timer.schedule({
+      target: this,
+      action: '_poll',
+      interval: this.get('interval')
+    });
+  },
+
+  /** @private */
+  _poll: function() {
+    var url = this.get('progressURL') || '';
+
+    this._timer = null;
+
+    SC.Request.getUrl("%@%@X-Progress-ID=%@".fmt(url, url.indexOf('?') === -1 ? '?' : '&', this.get('uuid')))
+      .header('X-Progress-ID', this.get('uuid'))
+      .notify(this, this._didReceiveProgress)
+      .send();
+  },
+
+  /** @private */
+  _didReceiveProgress: function(response) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        progress;
+
+    if (!this.get('isPolling')) { return; }
+
+    // Keep trying until the upload finishes, the module may not know about the upload yet
+    if (SC.ok(response)) {
+      try {
+        progress = this.parseProgress(response.get('body'));
+      } catch(err) {
+        progress = null;
+      }
+    }
+
+    if (progress) {
+      if (progress.state === 'done' || progress.state === 'error') {
+        this.stop();
+        this.invokeDelegateMethod(del, 'progressPollerDidFinish', this, progress);
+        return;
+      } else if (progress.state === 'uploading') {
+        this.invokeDelegateMethod(del, 'progressPollerDidUpdate', this, progress.received, progress.size);
+      }
+    }
+
+    this._schedule();
+  },
+
+  /** Own FileUploadProgressPollerDelegate methods */
+  progressPollerDidUpdate: function(poller, received, size) {},
+
+  progressPollerDidFinish: function(poller, progress) {}
+
+});
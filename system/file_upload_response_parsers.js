@@ -0,0 +1,65 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/**
+  @namespace
+
+  The built-in parsers that may be selected by name with the responseParser property of
+  SC.FileFieldView and SC.FileUploadTransport.  Each parser is passed the text of the server's
+  response (and, for transports that can provide it, the response's status, statusText, headers
+  and text) and returns the result passed to the delegate, or throws if the text can't be parsed.
+
+  @since SproutCore 1.0
+*/
+SC.FileUploadResponseParsers = {
+
+  /**
+    Parses stringified JSON.
+  */
+  json: function(text, response) {
+    return JSON.parse(text);
+  },
+
+  /**
+    Parses stringified JSON that has been wrapped in a <pre> or <textarea> element, a common way
+    of getting JSON through a hidden iframe intact.  The HTML entities inside the element are
+    decoded first.  Unwrapped JSON is parsed as is.
+  */
+  wrappedJSON: function(text, response) {
+    var match = /<(pre|textarea)\b[^>]*>([\s\S]*?)<\/\1>/i.exec(text);
+
+    if (match) {
+      text = match[2].replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;/g, "'")
+        .replace(/&amp;/g, '&');
+    }
+
+    return JSON.parse(text);
+  },
+
+  /**
+    Parses XML into a Document.
+  */
+  xml: function(text, response) {
+    var doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length) {
+      throw new Error('The response is not XML.');
+    }
+
+    return doc;
+  },
+
+  /**
+    Returns the text unchanged.
+  */
+  text: function(text, response) {
+    return text;
+  }
+
+};
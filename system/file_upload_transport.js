@@ -0,0 +1,265 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_error');
+sc_require('system/file_upload_response_parsers');
+
+/** @class
+
+  The base class for the transports that SC.FileFieldView uses to send its files to the server.
+
+  A transport is created for each submission and is given everything it needs to make the
+  request: the url, the hidden fields, the files and the X-Progress-ID uuid.  When the request
+  finishes or fails, the transport notifies its delegate (see SC.FileUploadTransportDelegate),
+  which is normally the SC.FileFieldView that created it.
+
+  Subclasses must implement send() and abort().
+
+  @extends SC.Object
+  @since SproutCore 1.0
+*/
+SC.FileUploadTransport = SC.Object.extend(SC.DelegateSupport, {
+
+  /**
+    The file field view that created the transport, if any.
+
+    @property {SC.FileFieldView}
+    */
+  fileFieldView: null,
+
+  /**
+    The path to the server's upload handler.
+
+    @property {String}
+    */
+  url: '',
+
+  /**
+    The unique X-Progress-ID to send with the upload.
+
+    @property {String}
+    */
+  uuid: '',
+
+  /**
+    Identifies the upload across retries.  SC.FileFieldView sets this to the uuid of the first
+    attempt, so resumable transports can continue where a failed attempt stopped.
+
+    @property {String}
+    */
+  uploadId: null,
+
+  /**
+    The list of key-value pairs to send as fields along with the files.
+
+    Example:
+      [{ key: "cookie", value: "abcdefghijklmnopqrstuvwxyz" }]
+
+    @property {Array}
+    */
+  fields: null,
+
+  /**
+    The list of files to send.  Each item is a hash containing the field name and the File, and
+    the filename if the file is a Blob that was resized or transformed (see filenameFor()).  An
+    item may also have its own fields, such as its checksums, which are also in fields (see
+    fieldsForFile()).
+
+    Example:
+      [{ name: "files[]", file: aFile }]
+
+    @property {Array}
+    */
+  files: null,
+
+  /**
+    The total size in bytes of the files, if known.
+
+    @property {Number}
+    */
+  totalSize: function() {
+    var files = this.get('files') || [],
+        total = 0,
+        i;
+
+    for (i = 0; i < files.length; i++) {
+      total += files[i].file.size || 0;
+    }
+
+    return total;
+  }.property('files').cacheable(),
+
+  /**
+    Parses the text of the server's response.  This is either the name of one of the built-in
+    parsers in SC.FileUploadResponseParsers ('json', 'wrappedJSON', 'xml' or 'text') or a function
+    taking the text and the response hash and returning the result.  The function should throw if
+    the text can't be parsed.
+
+    @property {String|Function}
+    */
+  responseParser: 'json',
+
+  /**
+    YES if the transport notifies its delegate of the upload progress.
+
+    @property {Boolean}
+    */
+  reportsProgress: NO,
+
+  /**
+    YES if the transport sends the File objects in files.  If NO, the transport submits the file
+    field view's inputs, so dropped, resized and transformed files can't be sent.
+
+    @property {Boolean}
+    */
+  sendsFileObjects: YES,
+
+  /**
+    The object that is notified as the upload progresses.  See SC.FileUploadTransportDelegate.
+
+    @property {Object}
+    */
+  delegate: null,
+
+  /**
+    Starts the upload.
+
+    @returns {void}
+    */
+  send: function() {},
+
+  /**
+    Stops the upload.  The delegate is not notified.
+
+    @returns {void}
+    */
+  abort: function() {},
+
+  /**
+    The url with the X-Progress-ID appended to the query string.
+
+    @property {String}
+    */
+  urlWithProgressID: function() {
+    var url = this.get('url') || '';
+
+    return "%@%@X-Progress-ID=%@".fmt(url, url.indexOf('?') === -1 ? '?' : '&', this.get('uuid'));
+  }.property('url', 'uuid').cacheable(),
+
+  /**
+    Identifies one of the files across requests and retries.  The first file uses the uploadId
+    (or the uuid if none), following files append their index.
+
+    @param index {Number} The index of the file in files.
+    @returns {String}
+    */
+  uploadIdForFile: function(index) {
+    var uploadId = this.get('uploadId') || this.get('uuid');
+
+    return index === 0 ? uploadId : "%@-%@".fmt(uploadId, index);
+  },
+
+  /**
+    The name to send one of the files as: its filename, set when the file was resized or
+    transformed into a Blob, or the name of the File.
+
+    @param item {Hash} The item in files.
+    @returns {String}
+    */
+  filenameFor: function(item) {
+    return item.filename || item.file.name;
+  },
+
+  /**
+    The fields to send with one of the files by the transports that send each file in its own
+    request: the fields that don't belong to any file, followed by the file's own fields.
+
+    @param index {Number} The index of the file in files.
+    @returns {Array}
+    */
+  fieldsForFile: function(index) {
+    var fields = this.get('fields') || [],
+        files = this.get('files') || [],
+        ownFields = [],
+        ret = [],
+        i;
+
+    for (i = 0; i < files.length; i++) {
+      if (files[i].fields) { ownFields = ownFields.concat(files[i].fields); }
+    }
+
+    for (i = 0; i < fields.length; i++) {
+      if (ownFields.indexOf(fields[i]) < 0) { ret.push(fields[i]); }
+    }
+
+    return ret.concat(files[index].fields || []);
+  },
+
+  /**
+    Parses the text returned by the server with the responseParser.
+
+    @param text {String} The body of the server's response.
+    @param response {Hash} The status, statusText, headers and text of the response or null.
+    @returns {Object} the parsed result
+    @throws {Error} if the text can't be parsed
+    */
+  parseResponse: function(text, response) {
+    var parser = this.get('responseParser');
+
+    if (SC.typeOf(parser) === SC.T_STRING) {
+      if (!SC.FileUploadResponseParsers[parser]) { throw new Error('Unknown response parser "%@".'.fmt(parser)); }
+      parser = SC.FileUploadResponseParsers[parser];
+    }
+
+    return parser.call(this, text, response);
+  },
+
+  /** @private */
+  didProgress: function(loaded, total) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+    this.invokeDelegateMethod(del, 'uploadTransportDidProgress', this, loaded, total);
+  },
+
+  /** @private */
+  didComplete: function(result, response) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+    this.invokeDelegateMethod(del, 'uploadTransportDidComplete', this, result, response);
+  },
+
+  /** @private
+    Parses the text and notifies the delegate of the result or of an SC.FileUploadError.PARSE
+    failure.
+  */
+  completeWithText: function(text, response) {
+    var result;
+
+    try {
+      result = this.parseResponse(text, response);
+    } catch(err) {
+      this.didFail(SC.FileUploadError.error(SC.FileUploadError.PARSE, 'Unable to parse file upload return value. %@'.fmt(err), {
+        status: response ? response.status : null,
+        response: text
+      }));
+      return;
+    }
+
+    this.didComplete(result, response);
+  },
+
+  /** @private */
+  didFail: function(error) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+    this.invokeDelegateMethod(del, 'uploadTransportDidFail', this, error);
+  },
+
+  /** Own FileUploadTransportDelegate methods */
+  uploadTransportDidProgress: function(transport, loaded, total) {},
+
+  uploadTransportDidComplete: function(transport, result, response) {},
+
+  uploadTransportDidFail: function(transport, error) {}
+
+});
@@ -0,0 +1,218 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_xhr_transport');
+
+/** @class
+
+  Uploads each file with the tus resumable upload protocol (http://tus.io, version 1.0.0).  The
+  files are sent one after the other:
+
+    1. POST to url with Upload-Length and Upload-Metadata creates the upload and the server returns
+       its location in the Location header.
+    2. PATCH to the location with Upload-Offset sends the file, in pieces of chunkSize bytes if set.
+
+  The location of each unfinished upload is remembered by its upload id (see uploadIdForFile()),
+  so when a failed upload is retried, a HEAD request asks the server for the Upload-Offset it has
+  and the upload continues from there.
+
+  The file's name and type and the fields are sent as Upload-Metadata.  Only the file's own fields,
+  such as its checksums, are sent with it (see fieldsForFile()).  Since the server doesn't
+  return a body, the result passed to the delegate is a hash with the name and location of each
+  uploaded file:
+
+    { files: [{ name: "photo.jpg", url: "https://example.com/files/24e533e02ec3bc40c387f1a0e460e216" }] }
+
+  @extends SC.FileUploadXHRTransport
+  @since SproutCore 1.0
+*/
+SC.FileUploadTusTransport = SC.FileUploadXHRTransport.extend({
+
+  /**
+    The largest number of bytes sent in one PATCH request, or null to send each file in one
+    request.
+
+    @property {Number}
+    */
+  chunkSize: null,
+
+  send: function() {
+    this._fileIndex = 0;
+    this._bytesBefore = 0;
+    this._results = [];
+
+    if (SC.empty(this.get('files'))) {
+      this.didComplete({ files: [] }, null);
+    } else {
+      this._startFile();
+    }
+  },
+
+  /**
+    Builds the Upload-Metadata header for the file: the comma separated list of keys and base64
+    encoded values for the filename, filetype and each of the fields.
+
+    @param file {File} The file.
+    @param filename {String} The name to send the file as, by default its own name.
+    @param fields {Array} The fields to send, by default the fields property.
+    @returns {String}
+    */
+  metadataFor: function(file, filename, fields) {
+    var metadata = [],
+        i, len, field;
+
+    if (!fields) { fields = this.get('fields'); }
+
+    filename = filename || file.name;
+    if (filename) { metadata.push('filename ' + this._base64(filename)); }
+    if (file.type) { metadata.push('filetype ' + this._base64(file.type)); }
+
+    if (!SC.empty(fields)) {
+      for (i = 0, len = fields.get('length'); i < len; i++) {
+        field = fields.objectAt(i);
+        metadata.push(field.key + ' ' + this._base64(String(field.value)));
+      }
+    }
+
+    return metadata.join(',');
+  },
+
+  /** @private */
+  _base64: function(string) {
+    return window.btoa(unescape(encodeURIComponent(string)));
+  },
+
+  /** @private */
+  _file: function() {
+    return this.get('files')[this._fileIndex].file;
+  },
+
+  /** @private */
+  _startFile: function() {
+    var uploadURL = SC.FileUploadTusTransport.uploadURLs[this.uploadIdForFile(this._fileIndex)];
+
+    if (uploadURL) {
+      this._uploadURL = uploadURL;
+      this._request('HEAD', uploadURL).send(null);
+    } else {
+      this._create();
+    }
+  },
+
+  /** @private */
+  _create: function() {
+    var file = this._file(),
+        request = this._request('POST', this.get('urlWithProgressID'));
+
+    request.setRequestHeader('Upload-Length', file.size);
+    request.setRequestHeader('Upload-Metadata', this.metadataFor(file, this.filenameFor(this.get('files')[this._fileIndex]), this.fieldsForFile(this._fileIndex)));
+    request.send(null);
+  },
+
+  /** @private */
+  _patch: function(offset) {
+    var file = this._file(),
+        chunkSize = this.get('chunkSize'),
+        end = chunkSize ? Math.min(offset + chunkSize, file.size) : file.size,
+        slice = file.slice || file.webkitSlice || file.mozSlice,
+        request = this._request('PATCH', this._uploadURL);
+
+    this._offset = offset;
+    this._end = end;
+
+    request.setRequestHeader('Upload-Offset', offset);
+    request.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+    request.send(slice.call(file, offset, end));
+  },
+
+  /** @private */
+  _request: function(method, url) {
+    var request = this.createRequest();
+
+    this._method = method;
+    request.open(method, url, YES);
+    request.setRequestHeader('Tus-Resumable', '1.0.0');
+
+    return request;
+  },
+
+  _requestDidProgress: function(loaded, total) {
+    if (this._method === 'PATCH') {
+      this.didProgress(this._bytesBefore + this._offset + Math.min(loaded, this._end - this._offset), this.get('totalSize'));
+    }
+  },
+
+  _requestDidLoad: function() {
+    var request = this.get('request'),
+        response = this.responseFor(request),
+        error = this.errorForResponse(response),
+        uploadIds = SC.FileUploadTusTransport.uploadURLs,
+        uploadId = this.uploadIdForFile(this._fileIndex),
+        offset;
+
+    this.set('request', null);
+
+    // The remembered upload no longer exists on the server, so start it over
+    if (this._method === 'HEAD' && (response.status === 404 || response.status === 410)) {
+      delete uploadIds[uploadId];
+      this._create();
+      return;
+    }
+
+    if (error) {
+      this.didFail(error);
+      return;
+    }
+
+    if (this._method === 'POST') {
+      this._uploadURL = request.getResponseHeader('Location');
+      if (!this._uploadURL) {
+        this.didFail(SC.FileUploadError.error(SC.FileUploadError.PARSE, 'The tus server did not return the Location of the upload.', {
+          status: response.status,
+          response: response.text
+        }));
+        return;
+      }
+
+      uploadIds[uploadId] = this._uploadURL;
+      this._patch(0);
+    } else {
+      offset = parseInt(request.getResponseHeader('Upload-Offset'), 10);
+      if (isNaN(offset)) {
+        this.didFail(SC.FileUploadError.error(SC.FileUploadError.PARSE, 'The tus server did not return the Upload-Offset.', {
+          status: response.status,
+          response: response.text
+        }));
+      } else if (offset < this._file().size) {
+        this._patch(offset);
+      } else {
+        this._fileDidFinish(response);
+      }
+    }
+  },
+
+  /** @private */
+  _fileDidFinish: function(response) {
+    var file = this._file();
+
+    delete SC.FileUploadTusTransport.uploadURLs[this.uploadIdForFile(this._fileIndex)];
+    this._results.push({ name: this.filenameFor(this.get('files')[this._fileIndex]), url: this._uploadURL });
+
+    if (this._fileIndex < this.get('files').length - 1) {
+      this._bytesBefore += file.size;
+      this._fileIndex++;
+      this._startFile();
+    } else {
+      this.didComplete({ files: this._results }, response);
+    }
+  }
+
+});
+
+/**
+  The locations of the unfinished uploads, by upload id.
+*/
+SC.FileUploadTusTransport.uploadURLs = {};
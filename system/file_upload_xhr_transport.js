@@ -0,0 +1,180 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+sc_require('system/file_upload_transport');
+
+/** @class
+
+  Sends the files and fields as multipart/form-data using XMLHttpRequest and FormData (XHR2).
+  Unlike the iframe transport, this gives access to the HTTP status code and response headers,
+  reports the upload progress and the request can be aborted.
+
+  @extends SC.FileUploadTransport
+  @since SproutCore 1.0
+*/
+SC.FileUploadXHRTransport = SC.FileUploadTransport.extend({
+
+  reportsProgress: YES,
+
+  /**
+    The underlying request, available once the upload has been sent.
+
+    @property {XMLHttpRequest}
+    */
+  request: null,
+
+  send: function() {
+    var request = this.createRequest();
+
+    request.open('POST', this.get('urlWithProgressID'), YES);
+    request.send(this.createFormData());
+  },
+
+  /**
+    Creates the XMLHttpRequest, notifying the transport as it progresses, loads or fails, and
+    sets it as the current request.
+
+    @returns {XMLHttpRequest}
+    */
+  createRequest: function() {
+    var request = new XMLHttpRequest(),
+        self = this;
+
+    request.onload = function() {
+      SC.RunLoop.begin();
+      self._requestDidLoad();
+      SC.RunLoop.end();
+    };
+
+    request.onerror = function() {
+      SC.RunLoop.begin();
+      self._requestDidError();
+      SC.RunLoop.end();
+    };
+
+    request.upload.onprogress = function(evt) {
+      if (!evt.lengthComputable) { return; }
+
+      SC.RunLoop.begin();
+      self._requestDidProgress(evt.loaded, evt.total);
+      SC.RunLoop.end();
+    };
+
+    this.set('request', request);
+
+    return request;
+  },
+
+  abort: function() {
+    var request = this.get('request');
+
+    if (request) {
+      request.onload = request.onerror = request.upload.onprogress = null;
+      request.abort();
+      this.set('request', null);
+    }
+  },
+
+  /**
+    Builds the FormData for the request.  Fields are appended before the files.
+
+    @param files {Array} The files to send, defaults to the files property.
+    @param fields {Array} The fields to send, defaults to the fields property.
+    @returns {FormData}
+    */
+  createFormData: function(files, fields) {
+    var data = new FormData(),
+        i, len, item, filename;
+
+    if (!files) { files = this.get('files'); }
+    if (!fields) { fields = this.get('fields'); }
+
+    if (!SC.empty(fields)) {
+      for (i = 0, len = fields.get('length'); i < len; i++) {
+        item = fields.objectAt(i);
+        data.append(item.key, item.value);
+      }
+    }
+
+    if (!SC.empty(files)) {
+      for (i = 0, len = files.get('length'); i < len; i++) {
+        item = files.objectAt(i);
+        filename = this.filenameFor(item);
+        // A Blob has no name of its own
+        if (filename) {
+          data.append(item.name, item.file, filename);
+        } else {
+          data.append(item.name, item.file);
+        }
+      }
+    }
+
+    return data;
+  },
+
+  /**
+    Returns a description of the server's response, which is passed to the delegate along with the
+    parsed result.
+
+    @returns {Hash} containing the status, statusText, headers and text of the response
+    */
+  responseFor: function(request) {
+    return {
+      status: request.status,
+      statusText: request.statusText,
+      headers: request.getAllResponseHeaders(),
+      text: request.responseText
+    };
+  },
+
+  /**
+    Returns an SC.FileUploadError.HTTP_STATUS error if the response has an unsuccessful status.
+
+    @param response {Hash} The response, see responseFor().
+    @returns {SC.FileUploadError} the error or null if the status is successful
+    */
+  errorForResponse: function(response) {
+    if (response.status >= 200 && response.status < 300) { return null; }
+
+    return SC.FileUploadError.error(SC.FileUploadError.HTTP_STATUS, 'File upload failed with HTTP status %@ %@.'.fmt(response.status, response.statusText), {
+      status: response.status,
+      response: response.text
+    });
+  },
+
+  _requestDidProgress: function(loaded, total) {
+    this.didProgress(loaded, total);
+  },
+
+  _requestDidLoad: function() {
+    var request = this.get('request'),
+        response = this.responseFor(request),
+        error = this.errorForResponse(response);
+
+    this.set('request', null);
+
+    if (error) {
+      this.didFail(error);
+    } else {
+      this.completeWithText(response.text, response);
+    }
+  },
+
+  _requestDidError: function() {
+    this.set('request', null);
+    this.didFail(SC.FileUploadError.error(SC.FileUploadError.NETWORK, 'File upload failed. Unable to reach the server.'));
+  }
+
+});
+
+/**
+  Returns YES if the browser supports uploading files with XMLHttpRequest and FormData.
+
+  @returns {Boolean}
+*/
+SC.FileUploadXHRTransport.isSupported = function() {
+  return !!(window.FormData && window.XMLHttpRequest && ('upload' in new XMLHttpRequest()));
+};
@@ -0,0 +1,27 @@
+/*global module test htmlbody ok equals same stop start */
+
+module("SC.FileChecksum");
+
+test("Test the digests of a known message",
+function() {
+  var bytes = new Uint8Array([0x61, 0x62, 0x63]); // "abc"
+
+  equals(SC.FileChecksum.hex(new SC.FileChecksum.SHA256().update(bytes).digest()), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'the SHA-256 of "abc" should be correct');
+  equals(SC.FileChecksum.hex(new SC.FileChecksum.MD5().update(bytes).digest()), '900150983cd24fb0d6963f7d28e17f72', 'the MD5 of "abc" should be correct');
+  equals(SC.FileChecksum.hex(new SC.FileChecksum.MD5().digest()), 'd41d8cd98f00b204e9800998ecf8427e', 'the MD5 of nothing should be correct');
+});
+
+test("Test a file read in several chunks",
+function() {
+  var text = 'The quick brown fox jumps over the lazy dog',
+      checksum = SC.FileChecksum.create({ algorithms: ['sha256', 'md5'], chunkSize: 10 });
+
+  stop();
+  checksum.compute(new Blob([text]), function(checksums, error) {
+    ok(!error, 'there should be no error');
+    equals(checksums.sha256.hex, 'd7a8fbb307d7809469ca9abcb0082e4f8d5651e46d3cdb762d02d0bf37c9e592', 'the SHA-256 should match the whole file');
+    equals(checksums.md5.hex, '9e107d9d372bb6826bd81d3542a419d6', 'the MD5 should match the whole file');
+    equals(checksums.md5.base64, 'nhB9nTcrtoJr2B01QqQZ1g==', 'the MD5 should be encoded as base64');
+    start();
+  });
+});
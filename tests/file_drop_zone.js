@@ -0,0 +1,102 @@
+/*global module test htmlbody ok equals same stop start */
+
+var pane, view, fileFieldView, selected;
+module("SC.FileDropZoneView", {
+  setup: function() {
+    selected = null;
+
+    SC.RunLoop.begin();
+    pane = SC.MainPane.create({
+      childViews: [
+      SC.FileFieldView.extend({
+        layout: { top: 0, left: 0, width: 300, height: 24 },
+        selectFiles: function(files) {
+          selected = files;
+          return YES;
+        }
+      }),
+      SC.FileDropZoneView.extend({
+        layout: { top: 40, left: 0, width: 300, height: 200 }
+      })]
+    });
+    pane.append();
+    SC.RunLoop.end();
+
+    fileFieldView = pane.childViews[0];
+    view = pane.childViews[1];
+    view.set('fileFieldView', fileFieldView);
+  },
+
+  teardown: function() {
+    pane.remove();
+    pane = view = fileFieldView = selected = null;
+  }
+});
+
+// Stand in for an SC.Event of a drag from the desktop
+function dragEvent(types, files) {
+  return {
+    originalEvent: { dataTransfer: { types: types, files: files } },
+    preventDefault: function() {},
+    stopPropagation: function() {}
+  };
+}
+
+test("Test dragging files over the drop zone",
+function() {
+  var layer = view.$();
+
+  ok(layer.hasClass('sc-file-drop-zone-view'), 'layer.hasClass(sc-file-drop-zone-view) should be YES');
+  ok(!layer.hasClass('drag-hover'), 'layer.hasClass(drag-hover) should be NO');
+
+  view._documentDragEnter(dragEvent(['Files'], []));
+  view._dragEnter(dragEvent(['Files'], []));
+  equals(view.get('isDragActive'), YES, 'isDragActive should be YES while dragging files over the window');
+  equals(view.get('isDragHovering'), YES, 'isDragHovering should be YES while dragging files over the view');
+  ok(layer.hasClass('drag-active'), 'layer.hasClass(drag-active) should be YES');
+  ok(layer.hasClass('drag-hover'), 'layer.hasClass(drag-hover) should be YES');
+
+  view._dragLeave(dragEvent(['Files'], []));
+  equals(view.get('isDragHovering'), NO, 'isDragHovering should be NO after leaving the view');
+  ok(!layer.hasClass('drag-hover'), 'layer.hasClass(drag-hover) should be NO');
+});
+
+test("Test dropping files selects them in the file field view",
+function() {
+  var files = [{ name: 'a.png', size: 10, type: 'image/png' }];
+
+  view._drop(dragEvent(['text/plain'], files));
+  equals(selected, null, 'a drag without files should be ignored');
+
+  view._drop(dragEvent(['Files'], files));
+  equals(selected, files, 'the dropped files should be passed to selectFiles');
+  equals(view.get('isDragActive'), NO, 'isDragActive should be NO after the drop');
+});
+
+test("Test files dropped outside of the drop zone are ignored",
+function() {
+  var evt = dragEvent(['Files'], [{ name: 'a.png', size: 10, type: 'image/png' }]),
+      prevented = 0;
+
+  evt.preventDefault = function() { prevented++; };
+
+  equals(view._documentDragOver(evt), NO, 'dragging files over the window should be handled');
+  equals(evt.originalEvent.dataTransfer.dropEffect, 'none', 'dropEffect should be none outside of the drop zone');
+  equals(view._documentDrop(evt), NO, 'dropping files on the window should be handled');
+  equals(prevented, 2, 'the browser should not open the files');
+  equals(selected, null, 'the files should not be selected');
+
+  equals(view._documentDrop(dragEvent(['text/plain'], [])), YES, 'a drag without files should be left to the browser');
+});
+
+test("Test files dropped on another drop target are left alone",
+function() {
+  var evt = dragEvent(['Files'], [{ name: 'a.png', size: 10, type: 'image/png' }]);
+
+  evt.originalEvent.defaultPrevented = YES;
+  evt.originalEvent.dataTransfer.dropEffect = 'copy';
+
+  equals(view._documentDragOver(evt), YES, 'a drag accepted by another drop target should be ignored');
+  equals(evt.originalEvent.dataTransfer.dropEffect, 'copy', 'dropEffect should be left alone');
+  equals(view._documentDrop(evt), YES, 'a drop accepted by another drop target should be ignored');
+});
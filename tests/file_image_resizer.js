@@ -0,0 +1,89 @@
+/*global module test htmlbody ok equals same stop start */
+
+var resizer;
+module("SC.FileImageResizer", {
+  setup: function() {
+    resizer = SC.FileImageResizer.create({ maxWidth: 10 });
+  },
+
+  teardown: function() {
+    resizer = null;
+  }
+});
+
+test("Test reading the EXIF orientation",
+function() {
+  var bytes = [
+    0xFF, 0xD8, // SOI
+    0xFF, 0xE1, 0x00, 0x22, // APP1 and its length
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // big endian TIFF header
+    0x00, 0x01, // one IFD entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00, // orientation 6
+    0x00, 0x00, 0x00, 0x00
+  ];
+
+  equals(resizer.orientationFor(new Uint8Array(bytes).buffer), 6, 'the orientation should be 6');
+  equals(resizer.orientationFor(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1]).buffer), 1, 'a truncated file should have the default orientation');
+  equals(resizer.orientationFor(new Uint8Array([0x89, 0x50]).buffer), 1, 'a file that isn\'t a JPEG should have the default orientation');
+});
+
+test("Test the file name for a converted image",
+function() {
+  equals(SC.FileImageResizer.fileNameForType('photo.png', 'image/jpeg'), 'photo.jpg', 'the extension should be replaced');
+  equals(SC.FileImageResizer.fileNameForType('photo', 'image/webp'), 'photo.webp', 'the extension should be added');
+  equals(SC.FileImageResizer.fileNameForType('photo.png', 'image/gif'), 'photo.png', 'an unknown type should keep the name');
+});
+
+test("Test the browser's default image orientation",
+function() {
+  var image = document.createElement('img'),
+      expected;
+
+  document.body.appendChild(image);
+  expected = window.getComputedStyle(image).imageOrientation === 'from-image';
+  document.body.removeChild(image);
+
+  equals(SC.FileImageResizer.browserAppliesOrientation(), expected, 'the orientation should only be left to browsers that apply it by default');
+});
+
+test("Test files that aren't images are returned unchanged",
+function() {
+  var file = new File(['hello'], 'notes.txt', { type: 'text/plain' }),
+      result;
+
+  resizer.resize(file, function(blob) { result = blob; });
+  equals(result, file, 'the original file should be returned');
+});
+
+test("Test a large image is shrunk to fit",
+function() {
+  var canvas = document.createElement('canvas');
+
+  if (!SC.FileImageResizer.isSupported()) {
+    ok(true, 'resizing is not supported in this browser');
+    return;
+  }
+
+  canvas.width = 40;
+  canvas.height = 20;
+
+  stop();
+  canvas.toBlob(function(original) {
+    resizer.resize(original, function(blob) {
+      var image = new Image(),
+          url = window.URL.createObjectURL(blob);
+
+      ok(blob !== original, 'a new image should be returned');
+      equals(blob.type, 'image/png', 'the image should keep its type');
+
+      image.onload = function() {
+        window.URL.revokeObjectURL(url);
+        equals(image.naturalWidth, 10, 'the width should be maxWidth');
+        equals(image.naturalHeight, 5, 'the height should be scaled to match');
+        start();
+      };
+      image.src = url;
+    });
+  }, 'image/png');
+});
@@ -0,0 +1,66 @@
+/*global module test htmlbody ok equals same stop start */
+
+var poller, updates, finished;
+module("SC.FileUploadProgressPoller", {
+  setup: function() {
+    updates = [];
+    finished = null;
+
+    poller = SC.FileUploadProgressPoller.create({
+      progressURL: '/progress',
+      uuid: '123',
+      interval: 10000,
+      delegate: SC.Object.create(SC.FileUploadProgressPollerDelegate, {
+        progressPollerDidUpdate: function(poller, received, size) {
+          updates.push([received, size]);
+        },
+
+        progressPollerDidFinish: function(poller, progress) {
+          finished = progress;
+        }
+      })
+    });
+  },
+
+  teardown: function() {
+    poller.stop();
+    poller = updates = finished = null;
+  }
+});
+
+// Stand in for an SC.Response
+function progressResponse(body) {
+  return SC.Object.create({ body: body });
+}
+
+test("Test parsing the progress returned by the upload progress modules",
+function() {
+  same(poller.parseProgress('{ "state" : "uploading", "received" : 10, "size" : 100 }'), { state: 'uploading', received: 10, size: 100 }, 'plain JSON should be parsed');
+  same(poller.parseProgress('({ "state" : "done" });\n'), { state: 'done' }, 'JSON wrapped in parentheses should be parsed');
+  same(poller.parseProgress({ state: 'starting' }), { state: 'starting' }, 'an already parsed body should be returned as is');
+});
+
+test("Test updates are forwarded to the delegate until the upload is done",
+function() {
+  poller.start();
+  ok(poller.get('isPolling'), 'isPolling should be YES after start');
+
+  poller._didReceiveProgress(progressResponse('{ "state" : "starting" }'));
+  equals(updates.length, 0, 'starting should not be forwarded');
+
+  poller._didReceiveProgress(progressResponse('{ "state" : "uploading", "received" : 10, "size" : 100 }'));
+  same(updates, [[10, 100]], 'uploading should be forwarded with received and size');
+  ok(poller.get('isPolling'), 'isPolling should still be YES while uploading');
+
+  poller._didReceiveProgress(progressResponse('{ "state" : "done" }'));
+  equals(finished.state, 'done', 'done should be forwarded to the delegate');
+  ok(!poller.get('isPolling'), 'isPolling should be NO once done');
+});
+
+test("Test polling stops on error",
+function() {
+  poller.start();
+  poller._didReceiveProgress(progressResponse('{ "state" : "error", "status" : 413 }'));
+  equals(finished.status, 413, 'error should be forwarded to the delegate');
+  ok(!poller.get('isPolling'), 'isPolling should be NO after an error');
+});
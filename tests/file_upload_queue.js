@@ -0,0 +1,103 @@
+/*global module test htmlbody ok equals same stop start */
+
+var queue, sent, finished;
+
+// Stand in for a transport that records the uploads it is asked to send
+var TestTransport = SC.FileUploadTransport.extend({
+  send: function() { sent.push(this); },
+  abort: function() { this.set('isAborted', YES); }
+});
+
+module("SC.FileUploadQueue", {
+  setup: function() {
+    sent = [];
+    finished = NO;
+
+    queue = SC.FileUploadQueue.create({
+      formAction: '/upload',
+      uploadTransport: TestTransport,
+      delegate: SC.Object.create(SC.FileUploadQueueDelegate, {
+        fileUploadQueueDidFinish: function(queue) {
+          finished = YES;
+        }
+      })
+    });
+  },
+
+  teardown: function() {
+    queue = sent = null;
+  }
+});
+
+function testFiles(count) {
+  var files = [];
+  for (var i = 0; i < count; i++) {
+    files.push({ name: 'file%@.png'.fmt(i), size: 100, type: 'image/png' });
+  }
+  return files;
+}
+
+test("Test files are uploaded separately with limited concurrency",
+function() {
+  var items = queue.addFiles(testFiles(3)),
+      content = queue.get('content');
+
+  equals(content.get('length'), 3, 'there should be an item for each file');
+  equals(sent.length, 2, 'only maxConcurrentUploads files should be uploading');
+  equals(sent[0].get('files')[0].file, items[0].get('file'), 'each transport should send a single file');
+  same(content.getEach('state'), ['uploading', 'uploading', 'queued'], 'the last file should be queued');
+  ok(queue.get('isUploading'), 'isUploading should be YES');
+
+  sent[0].didProgress(50, 100);
+  equals(items[0].get('progress'), 0.5, 'item.progress should be 0.5');
+  equals(queue.get('progress'), 50 / 300, 'queue.progress should cover every file');
+
+  sent[0].didComplete({ id: 1 }, null);
+  equals(items[0].get('state'), SC.FileUploadQueue.DONE, 'the first item should be done');
+  same(items[0].get('result'), { id: 1 }, 'item.result should be the parsed response');
+  equals(sent.length, 3, 'the queued file should start once a slot is free');
+
+  sent[1].didFail(SC.FileUploadError.error(SC.FileUploadError.NETWORK, 'offline'));
+  equals(items[1].get('state'), SC.FileUploadQueue.FAILED, 'a failure should only affect its own item');
+  equals(items[1].getPath('error.type'), SC.FileUploadError.NETWORK, 'item.error should be the reason for the failure');
+  ok(!finished, 'the queue should not finish while a file is uploading');
+
+  sent[2].didComplete({ id: 3 }, null);
+  ok(finished, 'the delegate should receive fileUploadQueueDidFinish');
+  ok(!queue.get('isUploading'), 'isUploading should be NO');
+
+  ok(queue.retry(items[1]), 'a failed item should be retried');
+  equals(sent.length, 4, 'the retried file should be uploaded again');
+});
+
+test("Test cancelling items",
+function() {
+  var items = queue.addFiles(testFiles(3));
+
+  ok(queue.cancel(items[2]), 'a queued item should be cancelled');
+  equals(items[2].get('state'), SC.FileUploadQueue.CANCELLED, 'item.state should be cancelled');
+
+  ok(queue.cancel(items[0]), 'an uploading item should be cancelled');
+  ok(sent[0].get('isAborted'), 'the transport of an uploading item should be aborted');
+
+  queue.cancelAll();
+  same(queue.get('content').getEach('state'), ['cancelled', 'cancelled', 'cancelled'], 'every item should be cancelled');
+  ok(!queue.cancel(items[0]), 'a cancelled item should not be cancelled again');
+});
+
+test("Test an item whose upload can't start fails",
+function() {
+  var items;
+
+  queue.set('uploadTransport', TestTransport.extend({
+    send: function() {
+      sent.push(this);
+      if (sent.length === 1) { throw new Error('Bad URL'); }
+    }
+  }));
+  items = queue.addFiles(testFiles(3));
+
+  equals(items[0].get('state'), SC.FileUploadQueue.FAILED, 'the item should fail');
+  equals(items[0].getPath('error.type'), SC.FileUploadError.SEND, 'item.error.type should be SC.FileUploadError.SEND');
+  same(queue.get('content').getEach('state'), ['failed', 'uploading', 'uploading'], 'the next files should take its place');
+});
@@ -0,0 +1,464 @@
+/*global module test htmlbody ok equals same stop start */
+
+var transport, completed, failed;
+module("SC.FileUploadXHRTransport", {
+  setup: function() {
+    completed = failed = null;
+
+    transport = SC.FileUploadXHRTransport.create({
+      url: '/upload',
+      uuid: '123',
+      delegate: SC.Object.create(SC.FileUploadTransportDelegate, {
+        uploadTransportDidComplete: function(transport, result, response) {
+          completed = { result: result, response: response };
+        },
+
+        uploadTransportDidFail: function(transport, error) {
+          failed = error;
+        }
+      })
+    });
+  },
+
+  teardown: function() {
+    transport = completed = failed = null;
+  }
+});
+
+// Stand in for a finished XMLHttpRequest
+function finishedRequest(status, text) {
+  return {
+    status: status,
+    statusText: status === 200 ? 'OK' : 'Internal Server Error',
+    responseText: text,
+    getAllResponseHeaders: function() { return 'Content-Type: text/plain\r\n'; }
+  };
+}
+
+test("Test the url includes the X-Progress-ID",
+function() {
+  equals(transport.get('urlWithProgressID'), '/upload?X-Progress-ID=123', 'urlWithProgressID should equal \'/upload?X-Progress-ID=123\'');
+  transport.set('url', '/upload?a=b');
+  equals(transport.get('urlWithProgressID'), '/upload?a=b&X-Progress-ID=123', 'urlWithProgressID should equal \'/upload?a=b&X-Progress-ID=123\'');
+});
+
+test("Test a successful response is parsed and passed to the delegate",
+function() {
+  transport.set('request', finishedRequest(200, '{"id": 7}'));
+  transport._requestDidLoad();
+
+  ok(!failed, 'the delegate should not receive uploadTransportDidFail');
+  same(completed.result, { id: 7 }, 'the result should be the parsed JSON');
+  equals(completed.response.status, 200, 'response.status should be 200');
+  equals(completed.response.headers, 'Content-Type: text/plain\r\n', 'response.headers should be the response headers');
+});
+
+test("Test an unsuccessful HTTP status fails",
+function() {
+  transport.set('request', finishedRequest(500, 'oops'));
+  transport._requestDidLoad();
+
+  ok(!completed, 'the delegate should not receive uploadTransportDidComplete');
+  equals(failed.get('type'), SC.FileUploadError.HTTP_STATUS, 'error.type should be SC.FileUploadError.HTTP_STATUS');
+  equals(failed.get('status'), 500, 'error.status should be 500');
+  equals(failed.get('response'), 'oops', 'error.response should be the raw response');
+});
+
+test("Test an unparseable response fails",
+function() {
+  transport.set('request', finishedRequest(200, '<html></html>'));
+  transport._requestDidLoad();
+
+  ok(!completed, 'the delegate should not receive uploadTransportDidComplete');
+  equals(failed.get('type'), SC.FileUploadError.PARSE, 'error.type should be SC.FileUploadError.PARSE');
+  equals(failed.get('status'), 200, 'error.status should be 200');
+});
+
+test("Test a network error fails",
+function() {
+  transport.set('request', finishedRequest(0, ''));
+  transport._requestDidError();
+
+  equals(failed.get('type'), SC.FileUploadError.NETWORK, 'error.type should be SC.FileUploadError.NETWORK');
+});
+
+test("Test the built-in response parsers",
+function() {
+  transport.set('responseParser', 'wrappedJSON');
+  transport.set('request', finishedRequest(200, '<textarea>{"name": "&lt;a&gt; &amp; b"}</textarea>'));
+  transport._requestDidLoad();
+  same(completed.result, { name: '<a> & b' }, 'the result should be the unwrapped JSON');
+
+  transport.set('responseParser', 'xml');
+  transport.set('request', finishedRequest(200, '<upload><id>7</id></upload>'));
+  transport._requestDidLoad();
+  equals(completed.result.getElementsByTagName('id')[0].textContent, '7', 'the result should be the parsed XML document');
+
+  transport.set('responseParser', 'text');
+  transport.set('request', finishedRequest(200, 'done'));
+  transport._requestDidLoad();
+  equals(completed.result, 'done', 'the result should be the raw text');
+});
+
+test("Test a custom response parser",
+function() {
+  transport.set('responseParser', function(text, response) {
+    if (text !== 'OK') { throw new Error('Not OK'); }
+    return response.status;
+  });
+
+  transport.set('request', finishedRequest(200, 'OK'));
+  transport._requestDidLoad();
+  equals(completed.result, 200, 'the result should be returned by the parser');
+
+  completed = null;
+  transport.set('request', finishedRequest(200, 'Nope'));
+  transport._requestDidLoad();
+  ok(!completed, 'the delegate should not receive uploadTransportDidComplete');
+  equals(failed.get('type'), SC.FileUploadError.PARSE, 'error.type should be SC.FileUploadError.PARSE');
+});
+
+// Stand in for XMLHttpRequest, recording each request so that the test can respond to it
+var FakeRequest, fakeRequests, realXMLHttpRequest;
+
+FakeRequest = function() {
+  this.headers = {};
+  this.upload = {};
+  fakeRequests.push(this);
+};
+
+FakeRequest.prototype = {
+  open: function(method, url) { this.method = method; this.url = url; },
+  setRequestHeader: function(key, value) { this.headers[key] = String(value); },
+  send: function(body) { this.body = body; },
+  abort: function() { this.isAborted = YES; },
+  getAllResponseHeaders: function() { return ''; },
+  getResponseHeader: function(key) { return this.responseHeaders ? this.responseHeaders[key] : null; },
+
+  respond: function(status, text, headers) {
+    this.status = status;
+    this.statusText = '';
+    this.responseText = text;
+    this.responseHeaders = headers;
+    this.onload();
+  }
+};
+
+module("SC.FileUploadChunkedTransport", {
+  setup: function() {
+    fakeRequests = [];
+    realXMLHttpRequest = window.XMLHttpRequest;
+    window.XMLHttpRequest = FakeRequest;
+
+    completed = failed = null;
+
+    transport = SC.FileUploadChunkedTransport.create({
+      url: '/upload',
+      uuid: '123',
+      uploadId: 'abc',
+      chunkSize: 4,
+      files: [{ name: 'files[]', file: new Blob(['abcdefghij'], { type: 'text/plain' }) }],
+      delegate: SC.Object.create(SC.FileUploadTransportDelegate, {
+        uploadTransportDidComplete: function(transport, result, response) {
+          completed = { result: result, response: response };
+        },
+
+        uploadTransportDidFail: function(transport, error) {
+          failed = error;
+        }
+      })
+    });
+  },
+
+  teardown: function() {
+    window.XMLHttpRequest = realXMLHttpRequest;
+    transport = completed = failed = fakeRequests = null;
+  }
+});
+
+test("Test the file is sent in numbered chunks",
+function() {
+  transport.send();
+  equals(fakeRequests.length, 1, 'the first chunk should be sent');
+  equals(fakeRequests[0].headers['Content-Range'], 'bytes 0-3/10', 'the first chunk should contain bytes 0-3');
+  equals(fakeRequests[0].headers['X-Upload-Id'], 'abc', 'the upload id should be sent');
+  equals(fakeRequests[0].headers['X-Chunk-Index'], '0', 'the first chunk should be number 0');
+
+  fakeRequests[0].respond(200, '{}');
+  equals(fakeRequests[1].headers['Content-Range'], 'bytes 4-7/10', 'the second chunk should contain bytes 4-7');
+
+  fakeRequests[1].respond(200, '{}');
+  equals(fakeRequests[2].headers['Content-Range'], 'bytes 8-9/10', 'the last chunk should contain bytes 8-9');
+  equals(fakeRequests[2].headers['X-Chunk-Index'], '2', 'the last chunk should be number 2');
+  ok(!completed, 'the upload should not complete before the last chunk');
+
+  fakeRequests[2].respond(200, '{"id": 7}');
+  same(completed.result, { id: 7 }, 'the response to the last chunk should be the result');
+});
+
+test("Test resuming from the last chunk the server acknowledged",
+function() {
+  transport.set('resumeURL', '/upload/status');
+  transport.send();
+
+  equals(fakeRequests[0].method, 'GET', 'the server should be asked how much it has received');
+  equals(fakeRequests[0].url, '/upload/status?uploadId=abc', 'the upload id should be passed to resumeURL');
+
+  fakeRequests[0].respond(200, '{"offset": 6}');
+  equals(fakeRequests[1].headers['Content-Range'], 'bytes 4-7/10', 'the upload should resume from the last whole chunk received');
+
+  equals(transport.startForOffset(10, 10), 8, 'the last chunk should be sent even if the server has every byte');
+  equals(transport.startForOffset(null, 10), 0, 'an unknown offset should start from the beginning');
+});
+
+test("Test a failed chunk fails the upload",
+function() {
+  transport.send();
+  fakeRequests[0].respond(503, 'busy');
+
+  equals(fakeRequests.length, 1, 'no more chunks should be sent');
+  equals(failed.get('status'), 503, 'error.status should be 503');
+});
+
+test("Test a resized file is sent with its filename",
+function() {
+  transport.set('files', [{ name: 'files[]', file: new Blob(['abc'], { type: 'image/jpeg' }), filename: 'photo.jpg' }]);
+  transport.send();
+
+  equals(fakeRequests[0].body.get('files[]').name, 'photo.jpg', 'the chunk should be sent with the filename');
+});
+
+test("Test each file is sent with its own checksum",
+function() {
+  var album = { key: 'album', value: '7' },
+      first = { key: 'checksum_md5', value: 'a' },
+      second = { key: 'checksum_md5', value: 'b' };
+
+  transport.set('chunkSize', 10);
+  transport.set('fields', [album, first, second]);
+  transport.set('files', [
+    { name: 'files[]', file: new Blob(['abc']), filename: 'a.txt', fields: [first] },
+    { name: 'files[]', file: new Blob(['def']), filename: 'b.txt', fields: [second] }
+  ]);
+  transport.send();
+
+  same(fakeRequests[0].body.getAll('checksum_md5'), ['a'], 'the first file should only be sent with its own checksum');
+  equals(fakeRequests[0].body.get('album'), '7', 'the other fields should be sent with every file');
+
+  fakeRequests[0].respond(200, '{}');
+  same(fakeRequests[1].body.getAll('checksum_md5'), ['b'], 'the second file should only be sent with its own checksum');
+});
+
+module("SC.FileUploadTusTransport", {
+  setup: function() {
+    fakeRequests = [];
+    realXMLHttpRequest = window.XMLHttpRequest;
+    window.XMLHttpRequest = FakeRequest;
+
+    completed = failed = null;
+
+    transport = SC.FileUploadTusTransport.create({
+      url: '/files',
+      uuid: '123',
+      uploadId: 'tus-test',
+      fields: [{ key: 'album', value: '7' }],
+      files: [{ name: 'files[]', file: new File(['abcdefghij'], 'notes.txt', { type: 'text/plain' }) }],
+      delegate: SC.Object.create(SC.FileUploadTransportDelegate, {
+        uploadTransportDidComplete: function(transport, result, response) {
+          completed = { result: result, response: response };
+        },
+
+        uploadTransportDidFail: function(transport, error) {
+          failed = error;
+        }
+      })
+    });
+  },
+
+  teardown: function() {
+    window.XMLHttpRequest = realXMLHttpRequest;
+    delete SC.FileUploadTusTransport.uploadURLs['tus-test'];
+    transport = completed = failed = fakeRequests = null;
+  }
+});
+
+test("Test creating and sending an upload",
+function() {
+  transport.send();
+
+  equals(fakeRequests[0].method, 'POST', 'the upload should be created with a POST');
+  equals(fakeRequests[0].headers['Tus-Resumable'], '1.0.0', 'the protocol version should be sent');
+  equals(fakeRequests[0].headers['Upload-Length'], '10', 'the size of the file should be sent');
+  equals(fakeRequests[0].headers['Upload-Metadata'], 'filename bm90ZXMudHh0,filetype dGV4dC9wbGFpbg==,album Nw==', 'the type and fields should be sent as metadata');
+
+  fakeRequests[0].respond(201, '', { Location: '/files/24e5' });
+  equals(SC.FileUploadTusTransport.uploadURLs['tus-test'], '/files/24e5', 'the location should be remembered until the upload is done');
+  equals(fakeRequests[1].method, 'PATCH', 'the file should be sent with a PATCH');
+  equals(fakeRequests[1].url, '/files/24e5', 'the file should be sent to the location');
+  equals(fakeRequests[1].headers['Upload-Offset'], '0', 'the file should be sent from the beginning');
+  equals(fakeRequests[1].headers['Content-Type'], 'application/offset+octet-stream', 'the file should be sent as application/offset+octet-stream');
+
+  fakeRequests[1].respond(204, '', { 'Upload-Offset': '10' });
+  same(completed.result, { files: [{ name: 'notes.txt', url: '/files/24e5' }] }, 'the result should contain the location of the file');
+  equals(SC.FileUploadTusTransport.uploadURLs['tus-test'], undefined, 'the location should be forgotten once the upload is done');
+});
+
+test("Test resuming an upload",
+function() {
+  SC.FileUploadTusTransport.uploadURLs['tus-test'] = '/files/24e5';
+  transport.set('chunkSize', 4);
+  transport.send();
+
+  equals(fakeRequests[0].method, 'HEAD', 'the server should be asked for the offset of a remembered upload');
+  equals(fakeRequests[0].url, '/files/24e5', 'the offset should be asked of the location');
+
+  fakeRequests[0].respond(200, '', { 'Upload-Offset': '6' });
+  equals(fakeRequests[1].method, 'PATCH', 'the rest of the file should be sent');
+  equals(fakeRequests[1].headers['Upload-Offset'], '6', 'the file should be sent from the offset');
+
+  fakeRequests[1].respond(204, '', { 'Upload-Offset': '10' });
+  ok(completed, 'the upload should complete');
+});
+
+test("Test an expired upload is created again",
+function() {
+  SC.FileUploadTusTransport.uploadURLs['tus-test'] = '/files/gone';
+  transport.send();
+
+  fakeRequests[0].respond(404, '');
+  equals(fakeRequests[1].method, 'POST', 'the upload should be created again');
+  ok(!failed, 'the upload should not fail');
+});
+
+test("Test a resized file is sent with its filename",
+function() {
+  transport.set('files', [{ name: 'files[]', file: new Blob(['abc'], { type: 'image/jpeg' }), filename: 'photo.jpg' }]);
+  transport.send();
+
+  equals(fakeRequests[0].headers['Upload-Metadata'], 'filename cGhvdG8uanBn,filetype aW1hZ2UvanBlZw==,album Nw==', 'the filename should be sent as metadata');
+
+  fakeRequests[0].respond(201, '', { Location: '/files/24e5' });
+  fakeRequests[1].respond(204, '', { 'Upload-Offset': '3' });
+  equals(completed.result.files[0].name, 'photo.jpg', 'result name should be the filename');
+});
+
+test("Test each file is sent with its own checksum",
+function() {
+  var album = { key: 'album', value: '7' },
+      first = { key: 'checksum_md5', value: 'a' },
+      second = { key: 'checksum_md5', value: 'b' };
+
+  transport.set('fields', [album, first, second]);
+  transport.set('files', [
+    { name: 'files[]', file: new Blob(['abc']), filename: 'a.txt', fields: [first] },
+    { name: 'files[]', file: new Blob(['def']), filename: 'b.txt', fields: [second] }
+  ]);
+  transport.send();
+
+  equals(fakeRequests[0].headers['Upload-Metadata'], 'filename YS50eHQ=,album Nw==,checksum_md5 YQ==', 'the first file should only be sent with its own checksum');
+
+  fakeRequests[0].respond(201, '', { Location: '/files/1' });
+  fakeRequests[1].respond(204, '', { 'Upload-Offset': '3' });
+  equals(fakeRequests[2].headers['Upload-Metadata'], 'filename Yi50eHQ=,album Nw==,checksum_md5 Yg==', 'the second file should only be sent with its own checksum');
+});
+
+module("SC.FileUploadPresignedTransport", {
+  setup: function() {
+    fakeRequests = [];
+    realXMLHttpRequest = window.XMLHttpRequest;
+    window.XMLHttpRequest = FakeRequest;
+
+    completed = failed = null;
+
+    transport = SC.FileUploadPresignedTransport.create({
+      url: '/upload',
+      uuid: '123',
+      fields: [{ key: 'cookie', value: 'abc' }],
+      files: [{ name: 'files[]', file: new File(['abcdefghij'], 'photo.jpg', { type: 'image/jpeg' }) }],
+      delegate: SC.Object.create(SC.FileUploadTransportDelegate, {
+        uploadTransportPresignedPostForFile: function(transport, file, callback) {
+          return {
+            url: 'https://bucket.example.com/',
+            fields: [{ key: 'key', value: 'uploads/' + file.name }, { key: 'policy', value: 'p' }]
+          };
+        },
+
+        uploadTransportDidComplete: function(transport, result, response) {
+          completed = { result: result, response: response };
+        },
+
+        uploadTransportDidFail: function(transport, error) {
+          failed = error;
+        }
+      })
+    });
+  },
+
+  teardown: function() {
+    window.XMLHttpRequest = realXMLHttpRequest;
+    transport = completed = failed = fakeRequests = null;
+  }
+});
+
+test("Test the file is posted last to the presigned url",
+function() {
+  var keys = [];
+
+  transport.send();
+  equals(fakeRequests[0].url, 'https://bucket.example.com/', 'the file should be posted to the presigned url');
+
+  fakeRequests[0].body.forEach(function(value, key) { keys.push(key); });
+  same(keys, ['key', 'policy', 'file'], 'the presigned fields should be sent in order, followed by the file');
+});
+
+test("Test parsing an XML PostResponse",
+function() {
+  transport.send();
+  fakeRequests[0].respond(201, '<?xml version="1.0" encoding="UTF-8"?><PostResponse><Location>https://bucket.example.com/uploads%2Fphoto.jpg</Location><Bucket>bucket</Bucket><Key>uploads/photo.jpg</Key><ETag>"a1b2"</ETag></PostResponse>');
+
+  same(completed.result.files, [{
+    status: 201,
+    location: 'https://bucket.example.com/uploads%2Fphoto.jpg',
+    bucket: 'bucket',
+    key: 'uploads/photo.jpg',
+    etag: '"a1b2"',
+    name: 'photo.jpg'
+  }], 'the XML should be parsed into the result');
+});
+
+test("Test an empty 204 response",
+function() {
+  transport.send();
+  fakeRequests[0].respond(204, '', { Location: 'https://bucket.example.com/uploads%2Fphoto.jpg', ETag: '"a1b2"' });
+
+  equals(completed.result.files[0].status, 204, 'result status should be 204');
+  equals(completed.result.files[0].location, 'https://bucket.example.com/uploads%2Fphoto.jpg', 'result location should come from the Location header');
+  equals(completed.result.files[0].etag, '"a1b2"', 'result etag should come from the ETag header');
+});
+
+test("Test a presigned post provided later",
+function() {
+  var presign;
+
+  transport.get('delegate').uploadTransportPresignedPostForFile = function(transport, file, callback) {
+    presign = callback;
+    return null;
+  };
+
+  transport.send();
+  equals(fakeRequests.length, 0, 'nothing should be sent until the presigned post is provided');
+
+  presign({ url: 'https://bucket.example.com/', fields: { key: 'uploads/photo.jpg' } });
+  equals(fakeRequests.length, 1, 'the file should be sent once the presigned post is provided');
+});
+
+test("Test a resized file is sent with its filename",
+function() {
+  transport.set('files', [{ name: 'files[]', file: new Blob(['abc'], { type: 'image/jpeg' }), filename: 'photo.jpg' }]);
+  transport.send();
+
+  equals(fakeRequests[0].body.get('file').name, 'photo.jpg', 'the Blob should be sent with the filename');
+
+  fakeRequests[0].respond(204, '');
+  equals(completed.result.files[0].name, 'photo.jpg', 'result name should be the filename');
+});
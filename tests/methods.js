@@ -57,30 +57,807 @@ function() {
   }
 });
 
-// test("Test various mouse events for a multiple non-progressive file field view", function() {
-//   // Reconfigure the file field view
-//   view.set('numberOfFiles', 3);
-//   view.set('isProgressive', NO);
-//   SC.RunLoop.begin().end();
-//   
-//   var viewLayer = view.$();
-//   
-//   var i;
-//   
-//   var inputs = view._inputs;
-//   var buttons = view._buttons;
-//   equals(inputs.length, 3, 'There should only be three inputs');
-//   equals(buttons.length, 3, 'There should only be three buttons');
-//   for (i = inputs.length - 1; i >= 0; i--) {
-//     var input = inputs[i];
-//         var button = buttons[i];
-//   var inputLayer = input.$();
-//           var buttonLayer = button.$();
-// 
-//       SC.Event.trigger(inputLayer[0], 'mousedown');
-//       equals(button.get('isActive'), YES, 'button.isActive should be YES on mousedown');
-//       SC.Event.trigger(inputLayer[0], 'mouseup');
-//       equals(button.get('isActive'), NO, 'button.isActive should be NO on mouseup');
-//   }
-// });
+test("Test the transport created for each uploadTransport setting",
+function() {
+  var transport;
+
+  view.set('formAction', '/upload');
+  view.set('uploadTransport', 'iframe');
+  transport = view.createTransport('123');
+  ok(transport.kindOf(SC.FileUploadIframeTransport), 'uploadTransport iframe should create an SC.FileUploadIframeTransport');
+  equals(transport.get('delegate'), view, 'transport.delegate should be the view');
+  equals(transport.get('uuid'), '123', 'transport.uuid should equal \'123\'');
+  equals(transport.get('urlWithProgressID'), '/upload?X-Progress-ID=123', 'transport.urlWithProgressID should equal \'/upload?X-Progress-ID=123\'');
+
+  view.set('uploadTransport', 'xhr');
+  transport = view.createTransport('123');
+  ok(transport.kindOf(SC.FileUploadXHRTransport), 'uploadTransport xhr should create an SC.FileUploadXHRTransport');
+  equals(transport.get('files').length, 0, 'transport.files should be empty without a selection');
+
+  view.set('uploadTransport', 'auto');
+  transport = view.createTransport('123');
+  ok(transport.kindOf(SC.FileUploadXHRTransport.isSupported() ? SC.FileUploadXHRTransport : SC.FileUploadIframeTransport), 'uploadTransport auto should pick the transport supported by the browser');
+});
+
+test("Test upload progress reported by the transport",
+function() {
+  var progress = null;
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidProgress: function(fileFieldView, loaded, total) {
+      progress = [loaded, total];
+    }
+  }));
+
+  equals(view.get('uploadProgress'), 0, 'uploadProgress should be 0 by default');
+  equals(view.get('bytesSent'), 0, 'bytesSent should be 0 by default');
+
+  view.uploadTransportDidProgress(null, 50, 200);
+  equals(view.get('uploadProgress'), 0.25, 'uploadProgress should be 0.25');
+  equals(view.get('bytesSent'), 50, 'bytesSent should be 50');
+  equals(view.get('bytesTotal'), 200, 'bytesTotal should be 200');
+  same(progress, [50, 200], 'the delegate should receive fileFieldViewDidProgress with the loaded and total bytes');
+});
+
+test("Test aborting an upload in progress",
+function() {
+  var aborted = NO, cancelled = NO;
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidCancel: function(fileFieldView) {
+      cancelled = YES;
+    }
+  }));
+
+  equals(view.abortUpload(), NO, 'abortUpload should return NO when there is no upload in progress');
+  ok(!cancelled, 'the delegate should not receive fileFieldViewDidCancel when there is no upload in progress');
+
+  // Stand in for an upload in progress
+  view._transport = SC.FileUploadTransport.create({
+    abort: function() { aborted = YES; }
+  });
+  view.set('isEnabled', NO);
+  view.uploadTransportDidProgress(view._transport, 50, 200);
+
+  equals(view.abortUpload(), YES, 'abortUpload should return YES when there is an upload in progress');
+  ok(aborted, 'the transport should be aborted');
+  ok(cancelled, 'the delegate should receive fileFieldViewDidCancel');
+  equals(view.get('isEnabled'), YES, 'isEnabled should be YES after aborting');
+  equals(view.get('uploadProgress'), 0, 'uploadProgress should be reset to 0 after aborting');
+});
+
+test("Test a failed upload re-enables the view and notifies the delegate",
+function() {
+  var failure = null, transport;
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      failure = error;
+    }
+  }));
+
+  // Stand in for an upload in progress
+  transport = view._transport = SC.FileUploadTransport.create({ delegate: view });
+  view.set('isEnabled', NO);
+
+  transport.completeWithText('not json', null);
+  ok(failure, 'the delegate should receive fileFieldViewDidFail');
+  equals(failure.get('type'), SC.FileUploadError.PARSE, 'error.type should be SC.FileUploadError.PARSE');
+  equals(failure.get('response'), 'not json', 'error.response should be the raw response');
+  equals(view.get('isEnabled'), YES, 'isEnabled should be YES after a failure');
+  equals(view._transport, null, 'the transport should be released after a failure');
+});
+
+test("Test an upload that times out is aborted",
+function() {
+  var failure = null, aborted = NO;
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      failure = error;
+    }
+  }));
+
+  // Stand in for an upload in progress
+  view._transport = SC.FileUploadTransport.create({
+    abort: function() { aborted = YES; }
+  });
+  view.set('isEnabled', NO);
+  view.set('uploadTimeout', 30000);
+  view._startUploadTimer();
+  ok(view._uploadTimer, 'a timer should be scheduled when uploadTimeout is set');
+
+  view._uploadDidTimeout();
+  ok(aborted, 'the transport should be aborted');
+  equals(failure.get('type'), SC.FileUploadError.TIMEOUT, 'error.type should be SC.FileUploadError.TIMEOUT');
+  equals(view.get('isEnabled'), YES, 'isEnabled should be YES after a timeout');
+});
+
+test("Test failed uploads are retried with backoff",
+function() {
+  var failure = null, retries = [];
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewShouldRetry: function(fileFieldView, error, attempt) {
+      retries.push(attempt);
+      return YES;
+    },
+
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      failure = error;
+    }
+  }));
+
+  view.set('maxRetries', 2);
+  equals(view.retryDelayForAttempt(1), 1000, 'the first retry should wait retryDelay');
+  equals(view.retryDelayForAttempt(3), 4000, 'the third retry should wait retryDelay * retryBackoffMultiplier^2');
+
+  // Stand in for an upload in progress
+  view._transport = SC.FileUploadTransport.create();
+  view.set('isEnabled', NO);
+
+  view.uploadTransportDidFail(view._transport, SC.FileUploadError.error(SC.FileUploadError.NETWORK, 'offline'));
+  same(retries, [1], 'the delegate should receive fileFieldViewShouldRetry for the first attempt');
+  ok(!failure, 'the delegate should not receive fileFieldViewDidFail while retrying');
+  ok(view._retryTimer, 'a retry should be scheduled');
+  equals(view.get('isEnabled'), NO, 'isEnabled should stay NO while waiting to retry');
+
+  equals(view.abortUpload(), YES, 'abortUpload should cancel a scheduled retry');
+  equals(view._retryTimer, null, 'the scheduled retry should be cancelled');
+  equals(view.get('isEnabled'), YES, 'isEnabled should be YES after cancelling the retry');
+});
+
+test("Test failures that can't succeed on retry are not retried",
+function() {
+  var failure = null, retried = NO;
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewShouldRetry: function(fileFieldView, error, attempt) {
+      retried = YES;
+      return YES;
+    },
+
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      failure = error;
+    }
+  }));
+
+  view.set('maxRetries', 2);
+  view._transport = SC.FileUploadTransport.create();
+  view.uploadTransportDidFail(view._transport, SC.FileUploadError.error(SC.FileUploadError.HTTP_STATUS, 'forbidden', { status: 403 }));
+
+  ok(!retried, 'a 403 should not be retried');
+  equals(failure.get('status'), 403, 'the delegate should receive fileFieldViewDidFail');
+});
+
+test("Test a missing presigned post is not retried",
+function() {
+  var failures = [], calls = [], retried = NO;
+
+  view.set('autoSubmit', NO);
+  view.set('uploadTransport', 'presigned');
+  view.set('maxRetries', 2);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewPresignedPostForFile: function(fileFieldView, file, callback) {
+      callback(null);
+      return null;
+    },
+
+    fileFieldViewShouldRetry: function(fileFieldView, error, attempt) {
+      retried = YES;
+      return YES;
+    },
+
+    fileFieldViewDidSubmit: function(fileFieldView, uuid) {
+      calls.push('didSubmit');
+    },
+
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      calls.push('didFail');
+      failures.push(error);
+    }
+  }));
+
+  view.selectFiles([new File(['abc'], 'a.txt', { type: 'text/plain' })]);
+  SC.RunLoop.begin();
+  view.submitForm();
+  SC.RunLoop.end();
+
+  same(calls, ['didSubmit', 'didFail'], 'the delegate should receive fileFieldViewDidSubmit before fileFieldViewDidFail');
+
+  ok(!retried, 'the upload should not be retried');
+  equals(view._retryTimer, null, 'no retry should be scheduled');
+  equals(failures.length, 1, 'the delegate should receive fileFieldViewDidFail once');
+  equals(failures[0].get('type'), SC.FileUploadError.PRESIGN, 'error.type should be SC.FileUploadError.PRESIGN');
+});
+
+test("Test validating files against acceptedTypes, maxFileSize and minFileSize",
+function() {
+  equals(view.validateFile({ name: 'a.exe', size: 10, type: 'application/octet-stream' }), null, 'any file should be accepted by default');
+
+  view.set('acceptedTypes', ['image/*', 'application/pdf', '.txt']);
+  equals(view.validateFile({ name: 'a.png', size: 10, type: 'image/png' }), null, 'image/png should match image/*');
+  equals(view.validateFile({ name: 'a.pdf', size: 10, type: 'application/pdf' }), null, 'application/pdf should match application/pdf');
+  equals(view.validateFile({ name: 'A.TXT', size: 10, type: '' }), null, 'A.TXT should match .txt');
+  equals(view.validateFile({ name: 'a.exe', size: 10, type: 'application/octet-stream' }), SC.FileFieldView.REJECT_TYPE, 'a.exe should be rejected');
+
+  view.set('acceptedTypes', null);
+  view.set('maxFileSize', 100);
+  view.set('minFileSize', 10);
+  equals(view.validateFile({ name: 'a', size: 101 }), SC.FileFieldView.REJECT_TOO_LARGE, 'a file larger than maxFileSize should be rejected');
+  equals(view.validateFile({ name: 'a', size: 9 }), SC.FileFieldView.REJECT_TOO_SMALL, 'a file smaller than minFileSize should be rejected');
+  equals(view.validateFile({ name: 'a', size: 100 }), null, 'a file of maxFileSize should be accepted');
+  equals(view.validateFile({ name: 'a' }), null, 'a file of unknown size should be accepted');
+});
+
+test("Test selecting files without the inputs",
+function() {
+  var changes = [], rejections = [], file = { name: 'a.png', size: 10, type: 'image/png' };
+
+  view.set('autoSubmit', NO);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldValueDidChange: function(fileFieldView, value, previousValue) {
+      changes.push(value);
+    },
+
+    fileFieldViewDidRejectFile: function(fileFieldView, file, reason) {
+      rejections.push(reason);
+    }
+  }));
+
+  equals(view.selectFiles([file, file]), NO, 'selecting more than numberOfFiles files should be rejected');
+  same(rejections, [SC.FileFieldView.REJECT_TOO_MANY], 'the extra file should be rejected as too many');
+  equals(changes.length, 0, 'a rejected selection should not change the value');
+
+  equals(view.selectFiles([file]), YES, 'selecting an acceptable file should succeed');
+  same(changes, ['a.png'], 'the delegate should receive fileFieldValueDidChange with the file name');
+  equals(view._labels[0].get('value'), 'a.png', 'the label should show the file name');
+  equals(view.createTransport('123').get('files')[0].file, file, 'the selected file should be uploaded');
+});
+
+test("Test minNumberOfFiles and changing acceptedTypes",
+function() {
+  var rejections = [], error = null, file = { name: 'a.png', size: 10, type: 'image/png' };
+
+  view.set('autoSubmit', NO);
+  view.set('numberOfFiles', 3);
+  view.set('minNumberOfFiles', 2);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidRejectFile: function(fileFieldView, file, reason) {
+      rejections.push(reason);
+    }
+  }));
+
+  equals(view.selectFiles([file]), NO, 'selecting fewer than minNumberOfFiles files should be rejected');
+  same(rejections, [SC.FileFieldView.REJECT_TOO_FEW], 'the file should be rejected as too few');
+  equals(view.selectFiles([file, file]), YES, 'selecting minNumberOfFiles files should succeed');
+
+  view.set('minNumberOfFiles', 3);
+  try { view.submitForm(); } catch (e) { error = e; }
+  ok(error, 'submitForm should throw with fewer than minNumberOfFiles files');
+
+  view.set('acceptedTypes', ['image/*', '.pdf']);
+  equals(view._inputs[0].$().attr('accept'), 'image/*,.pdf', 'the accept attribute should be updated');
+  view.set('acceptedTypes', null);
+  ok(!view._inputs[0].$().attr('accept'), 'the accept attribute should be removed');
+});
+
+test("Test selected files can't be submitted with the iframe transport",
+function() {
+  var error = null;
+
+  view.set('autoSubmit', NO);
+  view.set('uploadTransport', 'iframe');
+  view.selectFiles([{ name: 'a.png', size: 10, type: 'image/png' }]);
+
+  try { view.submitForm(); } catch (e) { error = e; }
+  ok(error, 'submitForm should throw');
+  equals(view.get('uploadState'), SC.FileFieldView.SELECTED, 'uploadState should stay SELECTED');
+  equals(view.get('isEnabled'), YES, 'isEnabled should stay YES');
+});
+
+test("Test the files are transformed before they are uploaded",
+function() {
+  var willTransform = [], file = new File(['abc'], 'a.txt', { type: 'text/plain' });
+
+  view.set('autoSubmit', NO);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewWillTransform: function(fileFieldView, file) {
+      willTransform.push(file.name);
+    }
+  }));
+  view.set('fileTransforms', [
+    function(file) { return Promise.resolve(new Blob(['ABC'], { type: 'text/plain' })); },
+    function(file) { return Promise.resolve(new Blob([file, '!'], { type: 'application/octet-stream' })); }
+  ]);
+  view.set('uploadTransport', SC.FileUploadTransport.extend({
+    send: function() {
+      var item = this.get('files')[0];
+
+      same(willTransform, ['a.txt'], 'the delegate should receive fileFieldViewWillTransform');
+      equals(item.name, 'files[]', 'the file should be sent as the input name');
+      equals(item.filename, 'a.txt', 'the file should keep its name');
+      equals(item.file.size, 4, 'the file should be the result of the last transform');
+      start();
+    }
+  }));
+
+  view.selectFiles([file]);
+  view.submitForm();
+  ok(!view._transport, 'the transport should not be created until the files are transformed');
+  stop();
+});
+
+test("Test transformed files can't be submitted with the iframe transport",
+function() {
+  var error = null;
+
+  view.set('uploadTransport', 'iframe');
+  view.set('fileTransforms', [
+    function(file) { return Promise.resolve(file); }
+  ]);
+  view._values = ['a.txt'];
+  view._selectionDidChange();
+
+  try { view.submitForm(); } catch (e) { error = e; }
+  ok(error, 'submitForm should throw');
+  equals(view.get('uploadState'), SC.FileFieldView.SELECTED, 'uploadState should stay SELECTED');
+});
+
+test("Test a rejected transform fails the upload",
+function() {
+  view.set('autoSubmit', NO);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      equals(error.get('type'), SC.FileUploadError.TRANSFORM, 'error.type should be SC.FileUploadError.TRANSFORM');
+      equals(fileFieldView.get('isEnabled'), YES, 'isEnabled should be YES after the failure');
+      start();
+    }
+  }));
+  view.set('fileTransforms', [
+    function(file) { return Promise.reject('too big'); }
+  ]);
+
+  view.selectFiles([new File(['abc'], 'a.txt', { type: 'text/plain' })]);
+  view.submitForm();
+  stop();
+});
+
+test("Test a transport that can't start fails the upload",
+function() {
+  var error = null;
+
+  view.set('autoSubmit', NO);
+  view.set('uploadTransport', 'nope');
+  view.selectFiles([new File(['abc'], 'a.txt', { type: 'text/plain' })]);
+
+  try { view.submitForm(); } catch (e) { error = e; }
+  ok(error, 'submitForm should throw for an unknown uploadTransport');
+  equals(view.get('uploadState'), SC.FileFieldView.SELECTED, 'uploadState should stay SELECTED');
+  equals(view.get('isEnabled'), YES, 'isEnabled should stay YES');
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      equals(error.get('type'), SC.FileUploadError.SEND, 'error.type should be SC.FileUploadError.SEND');
+      equals(fileFieldView.get('uploadState'), SC.FileFieldView.FAILED, 'uploadState should be FAILED');
+      equals(fileFieldView.get('isEnabled'), YES, 'isEnabled should be YES after the failure');
+      start();
+    }
+  }));
+  view.set('fileTransforms', [
+    function(file) { return Promise.resolve(file); }
+  ]);
+  view.set('uploadTransport', SC.FileUploadTransport.extend({
+    send: function() { throw new Error('Unable to send'); }
+  }));
+
+  view.submitForm();
+  stop();
+});
+
+test("Test the checksums are sent with the files",
+function() {
+  var computed = null, willTransform = NO;
+
+  view.set('autoSubmit', NO);
+  view.set('hiddenInputs', [{ key: 'album', value: '7' }]);
+  view.set('checksumAlgorithms', ['md5']);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewWillTransform: function(fileFieldView, file) {
+      willTransform = YES;
+    },
+
+    fileFieldViewDidComputeChecksums: function(fileFieldView, file, checksums) {
+      computed = checksums;
+    }
+  }));
+  view.set('uploadTransport', SC.FileUploadTransport.extend({
+    send: function() {
+      ok(!willTransform, 'the delegate should not receive fileFieldViewWillTransform without transforms');
+      equals(computed.md5.hex, '900150983cd24fb0d6963f7d28e17f72', 'the delegate should receive the checksums');
+      same(this.get('fields'), [{ key: 'album', value: '7' }, { key: 'checksum_md5', value: 'kAFQmDzST7DWlj99KOF/cg==' }], 'the checksum should be sent after the hiddenInputs');
+      start();
+    }
+  }));
+
+  view.selectFiles([new File(['abc'], 'a.txt', { type: 'text/plain' })]);
+  view.submitForm();
+  stop();
+});
 
+test("Test files handed to the upload queue are prepared first",
+function() {
+  var sent = [], willSubmit = NO;
+
+  view.set('autoSubmit', NO);
+  view.set('checksumAlgorithms', ['md5']);
+  view.set('fileTransforms', [
+    function(file) { return Promise.resolve(new Blob(['abc'], { type: 'text/plain' })); }
+  ]);
+  view.set('uploadQueue', SC.FileUploadQueue.create({
+    hiddenInputs: [{ key: 'album', value: '7' }],
+    uploadTransport: SC.FileUploadTransport.extend({
+      send: function() { sent.push(this); }
+    })
+  }));
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewWillSubmit: function(fileFieldView) {
+      willSubmit = YES;
+    },
+
+    fileFieldViewDidSubmit: function(fileFieldView, uuid) {
+      var item = fileFieldView.getPath('uploadQueue.content').objectAt(0);
+
+      equals(uuid, null, 'the delegate should receive fileFieldViewDidSubmit without a uuid');
+      equals(item.get('name'), 'a.txt', 'the item should keep the file name');
+      equals(sent[0].get('files')[0].file.size, 3, 'the transformed file should be uploaded');
+      equals(sent[0].get('files')[0].filename, 'a.txt', 'the transformed file should be sent with its filename');
+      same(sent[0].get('fields'), [{ key: 'album', value: '7' }, { key: 'checksum_md5', value: 'kAFQmDzST7DWlj99KOF/cg==' }], 'the checksum should be sent after the queue\'s hiddenInputs');
+      equals(fileFieldView.get('uploadState'), SC.FileFieldView.QUEUED, 'uploadState should be QUEUED once the files are queued');
+      equals(fileFieldView.get('isEnabled'), YES, 'isEnabled should be YES once the files are queued');
+      start();
+    }
+  }));
+
+  view.selectFiles([new File(['ABCD'], 'a.txt', { type: 'text/plain' })]);
+  equals(view.submitForm(), null, 'submitForm should return null');
+  ok(willSubmit, 'the delegate should receive fileFieldViewWillSubmit');
+  equals(view.get('uploadState'), SC.FileFieldView.VALIDATING, 'uploadState should be VALIDATING while the files are prepared');
+  equals(sent.length, 0, 'nothing should be queued until the files are prepared');
+  stop();
+});
+
+test("Test a queue that can't take the files fails the upload",
+function() {
+  var failure = null;
+
+  view.set('autoSubmit', NO);
+  view.set('uploadQueue', SC.FileUploadQueue.create({
+    addFiles: function(files) { throw new Error('Bad URL'); }
+  }));
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldViewDidFail: function(fileFieldView, error) {
+      failure = error;
+    }
+  }));
+
+  view.selectFiles([{ name: 'a.png', size: 10, type: 'image/png' }]);
+  view.submitForm();
+
+  equals(failure.get('type'), SC.FileUploadError.SEND, 'error.type should be SC.FileUploadError.SEND');
+  equals(view.get('uploadState'), SC.FileFieldView.FAILED, 'uploadState should be FAILED');
+  equals(view.get('isEnabled'), YES, 'isEnabled should be YES after the failure');
+});
+
+test("Test the iframe transport sends each checksum as a separate field",
+function() {
+  var transport, values;
+
+  view.set('hiddenInputs', [{ key: 'album', value: '7' }]);
+  view.set('uploadTransport', 'iframe');
+  transport = view.createTransport('123', null, [
+    { key: 'album', value: '8' },
+    { key: 'checksum_md5', value: 'a' },
+    { key: 'checksum_md5', value: 'b' }
+  ]);
+
+  // Don't actually submit the form
+  view._form.$()[0].submit = function() {};
+  transport.send();
+
+  values = view._form.$('input[name="checksum_md5"]').map(function() { return this.value; }).get();
+  same(values, ['a', 'b'], 'each checksum should be sent in its own field');
+  equals(view._form.$('input[name="album"]').length, 1, 'the hidden input should not be repeated');
+  equals(view._form.$('input[name="album"]').val(), '8', 'the hidden input should be updated');
+
+  transport.abort();
+  equals(view._form.$('input[name="checksum_md5"]').length, 0, 'the checksum fields should be removed after the upload');
+});
+
+test("Test reset removes the additional progressive inputs",
+function() {
+  var height = view.get('layout').height;
+
+  view.set('numberOfFiles', 3);
+  SC.RunLoop.begin();
+  view._createInput();
+  view._createInput();
+  SC.RunLoop.end();
+  view._values = ['a.png', 'b.png'];
+  view._labels[0].set('value', 'a.png');
+
+  equals(view._inputs.length, 3, 'there should be three inputs before the reset');
+
+  view.reset();
+  equals(view._inputs.length, 1, 'there should be one input after the reset');
+  equals(view._buttons.length, 1, 'there should be one button after the reset');
+  equals(view._labels.length, 1, 'there should be one label after the reset');
+  equals(view.$('.sc-file-field-input-view').length, 1, 'the additional inputs should be removed from the form');
+  equals(view._values, null, 'the values should be cleared');
+  equals(view._labels[0].get('value'), view.get('emptyText'), 'the label should show the emptyText');
+  equals(view.get('layout').height, height, 'the view should return to its initial height');
+});
+
+test("Test resetAfterComplete",
+function() {
+  view.set('autoSubmit', NO);
+  view.set('resetAfterComplete', YES);
+  view.selectFiles([{ name: 'a.png', size: 10, type: 'image/png' }]);
+
+  view.uploadTransportDidProgress(null, 10, 10);
+  view.uploadTransportDidComplete(null, {}, null);
+  equals(view._values, null, 'the values should be cleared after the upload completes');
+  equals(view.get('uploadProgress'), 0, 'uploadProgress should be cleared after the upload completes');
+  equals(view.get('bytesSent'), 0, 'bytesSent should be cleared after the upload completes');
+  equals(view.get('bytesTotal'), 0, 'bytesTotal should be cleared after the upload completes');
+  equals(view._labels[0].get('value'), view.get('emptyText'), 'the label should show the emptyText after the upload completes');
+});
+
+test("Test removing a file from a progressive file field view",
+function() {
+  var changes = [];
+
+  view.set('numberOfFiles', 3);
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldValueDidChange: function(fileFieldView, value, previousValue) {
+      changes.push([value, previousValue]);
+    }
+  }));
+
+  // Stand in for two selected files and the empty row for the next
+  SC.RunLoop.begin();
+  view._createInput();
+  view._createInput();
+  view._labels[0].set('value', 'a.png');
+  view._labels[1].set('value', 'b.png');
+  SC.RunLoop.end();
+  view._values = ['a.png', 'b.png'];
+
+  equals(view.removeFile(2), NO, 'removing a row without a selection should do nothing');
+
+  equals(view.removeFile(0), YES, 'removing a selected file should succeed');
+  same(changes, [[null, 'a.png']], 'the delegate should receive fileFieldValueDidChange with a null value');
+  equals(view._inputs.length, 2, 'the row should be removed');
+  same(view._values, ['b.png'], 'the remaining values should move up');
+  equals(view._labels[0].get('value'), 'b.png', 'the remaining labels should move up');
+  equals(view._buttons[1].get('layout').top, 32, 'the empty row should move up');
+  equals(view._inputs[1].get('currentNumberOfInputs'), 1, 'the empty row\'s input should be renumbered');
+
+  equals(view.removeFile(0), YES, 'removing the last selected file should succeed');
+  equals(view._inputs.length, 1, 'only the empty row should remain');
+  same(view._values, [], 'there should be no values');
+});
+
+test("Test the observable selection and upload state",
+function() {
+  var submitButton, file = { name: 'a.png', size: 10, type: 'image/png' };
+
+  SC.RunLoop.begin();
+  submitButton = SC.Object.create({
+    isEnabled: YES,
+    isEnabledBinding: SC.Binding.from('hasSelection', view).oneWay()
+  });
+  SC.RunLoop.end();
+
+  view.set('autoSubmit', NO);
+  equals(view.get('uploadState'), SC.FileFieldView.IDLE, 'uploadState should be IDLE by default');
+  equals(view.get('selectionCount'), 0, 'selectionCount should be 0 by default');
+  equals(submitButton.get('isEnabled'), NO, 'the bound isEnabled should be NO without a selection');
+
+  view.selectFiles([file]);
+  same(view.get('files'), [{ name: 'a.png', size: 10, type: 'image/png' }], 'files should describe the selection');
+  same(view.get('value'), view.get('files'), 'value should be the same as files');
+  equals(view.get('selectionCount'), 1, 'selectionCount should be 1');
+  equals(view.get('hasSelection'), YES, 'hasSelection should be YES');
+  equals(view.get('uploadState'), SC.FileFieldView.SELECTED, 'uploadState should be SELECTED');
+  equals(submitButton.get('isEnabled'), YES, 'the bound isEnabled should be YES with a selection');
+
+  view.set('uploadTransport', SC.FileUploadTransport);
+  view.submitForm();
+  equals(view.get('uploadState'), SC.FileFieldView.UPLOADING, 'uploadState should be UPLOADING');
+
+  view.uploadTransportDidFail(view._transport, SC.FileUploadError.error(SC.FileUploadError.NETWORK, 'offline'));
+  equals(view.get('uploadState'), SC.FileFieldView.FAILED, 'uploadState should be FAILED');
+
+  view.submitForm();
+  view.uploadTransportDidComplete(view._transport, {}, null);
+  equals(view.get('uploadState'), SC.FileFieldView.COMPLETE, 'uploadState should be COMPLETE');
+
+  view.reset();
+  equals(view.get('hasSelection'), NO, 'hasSelection should be NO after the reset');
+  equals(view.get('uploadState'), SC.FileFieldView.IDLE, 'uploadState should be IDLE after the reset');
+});
+
+test("Test actions that aren't allowed in the current state are rejected",
+function() {
+  var error = null;
+
+  view.set('autoSubmit', NO);
+  view.set('uploadTransport', SC.FileUploadTransport);
+
+  try { view.submitForm(); } catch (e) { error = e; }
+  ok(error, 'submitForm should throw without a selection');
+  equals(error.get('message'), 'SC.FileFieldView can\'t submit in the idle state.', 'the error should explain why');
+
+  view.selectFiles([{ name: 'a.png', size: 10, type: 'image/png' }]);
+  view.submitForm();
+  equals(view.get('uploadState'), SC.FileFieldView.UPLOADING, 'uploadState should be UPLOADING');
+  equals(view.get('isEnabled'), NO, 'isEnabled should be NO while uploading');
+
+  error = null;
+  try { view.submitForm(); } catch (e) { error = e; }
+  ok(error, 'submitForm should throw while uploading');
+
+  error = null;
+  try { view.selectFiles([{ name: 'b.png', size: 10, type: 'image/png' }]); } catch (e) { error = e; }
+  ok(error, 'selectFiles should throw while uploading');
+
+  equals(view.abortUpload(), YES, 'abortUpload should be allowed while uploading');
+  equals(view.get('uploadState'), SC.FileFieldView.CANCELLED, 'uploadState should be CANCELLED');
+  equals(view.get('isEnabled'), YES, 'isEnabled should be YES after cancelling');
+
+  error = null;
+  try { view.retryUpload(); } catch (e) { error = e; }
+  ok(error, 'retryUpload should throw after cancelling');
+
+  ok(view.submitForm(), 'submitForm should be allowed after cancelling');
+});
+
+test("Test keyboard access and announcements",
+function() {
+  var input = view._inputs[0],
+      button = view._buttons[0],
+      label = view._labels[0],
+      inputLayer = input.$()[0],
+      clicked = NO;
+
+  equals(input.$().attr('aria-labelledby'), '%@ %@'.fmt(button.get('layerId'), label.get('layerId')), 'the input should be labelled by the button and the label');
+  equals(button.$().attr('aria-hidden'), 'true', 'the button should be hidden from screen readers');
+
+  SC.Event.trigger(inputLayer, 'focus');
+  equals(button.get('isInputFocused'), YES, 'button.isInputFocused should be YES on focus');
+  SC.Event.trigger(inputLayer, 'blur');
+  equals(button.get('isInputFocused'), NO, 'button.isInputFocused should be NO on blur');
+
+  inputLayer.click = function() { clicked = YES; };
+  SC.Event.trigger(inputLayer, 'keydown', [SC.Event.simulateEvent(inputLayer, 'keydown', { which: 13, keyCode: 13 })]);
+  equals(clicked, YES, 'Enter should open the file select');
+
+  view.selectFiles([{ name: 'a.png', size: 10, type: 'image/png' }]);
+  equals(view._liveRegion.$().text(), 'a.png selected', 'the selection should be announced');
+
+  view.set('resetAfterComplete', YES);
+  view.uploadTransportDidComplete(null, {}, null);
+  equals(view._liveRegion.$().text(), 'Upload complete', 'the completion should be announced after the reset');
+});
+
+test("Test the input events are removed with the layer",
+function() {
+  var inputLayer = view._inputs[0].$()[0],
+      clicked = NO;
+
+  inputLayer.click = function() { clicked = YES; };
+  SC.RunLoop.begin();
+  view.destroyLayer();
+  SC.RunLoop.end();
+
+  SC.Event.trigger(inputLayer, 'keydown', [SC.Event.simulateEvent(inputLayer, 'keydown', { which: 13, keyCode: 13 })]);
+  equals(clicked, NO, 'the keydown handler should be removed');
+  equals(view._inputs, null, 'the inputs should be released');
+});
+
+test("Test previews of the selected images",
+function() {
+  var previewPane, previewView, preview;
+
+  SC.RunLoop.begin();
+  previewPane = SC.MainPane.create({
+    childViews: [
+    SC.FileFieldView.extend({
+      layout: { right: 20, bottom: 20, width: 200, height: 24 },
+      autoSubmit: NO,
+      displaysPreview: YES
+    })]
+  });
+  previewPane.append();
+  SC.RunLoop.end();
+
+  previewView = previewPane.childViews[0];
+  preview = previewView._previews[0];
+  ok(preview, 'there should be a preview for the first row');
+  equals(previewView._labels[0].get('layout').left, 144, 'the label should be moved to the right of the preview');
+
+  previewView.selectFiles([new File(['x'], 'a.png', { type: 'image/png' })]);
+  equals(preview.get('value').indexOf('blob:'), 0, 'the preview should show an object URL for the image');
+
+  previewView.selectFiles([new File(['x'], 'a.txt', { type: 'text/plain' })]);
+  equals(preview.get('value'), null, 'the preview should be cleared for a file that isn\'t an image');
+
+  previewView.selectFiles([new File(['x'], 'a.png', { type: 'image/png' })]);
+  previewView.reset();
+  equals(preview.get('value'), null, 'reset should clear the preview');
+
+  previewPane.remove();
+});
+
+test("Test various mouse events for a multiple non-progressive file field view",
+function() {
+  var i;
+
+  // Reconfigure the file field view
+  view.set('numberOfFiles', 3);
+  view.set('isProgressive', NO);
+  SC.RunLoop.begin().end();
+
+  var inputs = view._inputs;
+  var buttons = view._buttons;
+  equals(inputs.length, 3, 'There should only be three inputs');
+  equals(buttons.length, 3, 'There should only be three buttons');
+  for (i = inputs.length - 1; i >= 0; i--) {
+    var input = inputs[i];
+    var button = buttons[i];
+    var inputLayer = input.$();
+
+    SC.Event.trigger(inputLayer[0], 'mousedown');
+    equals(button.get('isActive'), YES, 'button.isActive should be YES on mousedown');
+    SC.Event.trigger(inputLayer[0], 'mouseup');
+    equals(button.get('isActive'), NO, 'button.isActive should be NO on mouseup');
+  }
+});
+
+test("Test reconfiguring keeps the current selections",
+function() {
+  var changes = [];
+
+  view.set('delegate', SC.Object.create(SC.FileFieldViewDelegate, {
+    fileFieldValueDidChange: function(fileFieldView, value, previousValue) {
+      changes.push([value, previousValue]);
+    }
+  }));
+
+  view.set('isProgressive', NO);
+  view.set('numberOfFiles', 3);
+  SC.RunLoop.begin();
+  view._labels[1].set('value', 'b.png');
+  SC.RunLoop.end();
+  view._values = [null, 'b.png', null];
+
+  view.set('isProgressive', YES);
+  equals(view._inputs.length, 2, 'the progressive file field view should have the selection and an empty input');
+  equals(view._values[0], 'b.png', 'the selection should be kept');
+  equals(view._labels[0].get('value'), 'b.png', 'the selection should move to the first row');
+
+  view.set('numberOfFiles', 1);
+  equals(view._inputs.length, 1, 'the empty input should be removed first');
+  same(view._values, ['b.png'], 'the selection should still be kept');
+  equals(changes.length, 0, 'the delegate should not be notified while no selection is removed');
+
+  view.set('isProgressive', NO);
+  view.set('numberOfFiles', 2);
+  equals(view._inputs.length, 2, 'an input should be added for the second file');
+  view._values[1] = 'c.png';
+
+  view.set('numberOfFiles', 1);
+  same(view._values, ['b.png'], 'the last selection should be removed');
+  same(changes, [[null, 'c.png']], 'the delegate should be notified of the removed selection');
+});
@@ -31,6 +31,9 @@ var pane = SC.ControlTestPane.design().add("Default", SC.FileFieldView, {
 }).add("MultipleInputs", SC.FileFieldView, {
   numberOfFiles: 3,
   isProgressive: NO
+}).add("MultipleSelection", SC.FileFieldView, {
+  numberOfFiles: 3,
+  allowsMultipleSelection: YES
 });
 
 pane.show();
@@ -56,6 +59,8 @@ function() {
   equals(view.get('autoSubmit'), YES, 'Default.autoSubmit should be YES');
   equals(view.get('numberOfFiles'), 1, 'Default.numberOfFiles should be 1');
   equals(view.get('isProgressive'), YES, 'Default.isProgressive should be YES');
+  equals(view.get('uploadTransport'), 'auto', 'Default.uploadTransport should equal \'auto\'');
+  equals(view.get('allowsMultipleSelection'), NO, 'Default.allowsMultipleSelection should be NO');
 
   /** SC.View defaults **/
   equals(view.get('isEnabled'), YES, 'Default.isEnabled should be YES');
@@ -116,6 +121,7 @@ function() {
     equals(inputLayer[0].type, 'file', 'inputLayer.type should equal \'file\'');
     equals(inputLayer[0].name, 'files[]', 'inputLayer.name should equal \'files[]\'');
     equals(inputLayer[0].style.opacity,  0, 'inputLayer.opacity should equal 0');
+    ok(!inputLayer[0].multiple, 'inputLayer.multiple should be NO');
   }
 });
 
@@ -246,3 +252,19 @@ function() {
     equals(inputLayer[0].name, 'files[]', 'inputLayer.name should equal \'files[]\'');
   }
 });
+
+test("Test multiple selection with a single input",
+function() {
+  var view = pane.view('MultipleSelection');
+  equals(view.get('numberOfFiles'), 3, 'MultipleSelection.numberOfFiles should be 3');
+
+  equals(view._buttons.length, 1, 'There should only be one button');
+  equals(view._labels.length, 1, 'There should only be one label');
+
+  var inputs = view._inputs;
+  equals(inputs.length, 1, 'There should only be one input');
+  ok(inputs[0].$()[0].multiple, 'inputLayer.multiple should be YES');
+
+  equals(view._labelValueFor([{ name: 'a.png' }]), 'a.png', 'a single file should be labeled with its name');
+  equals(view._labelValueFor([{ name: 'a.png' }, { name: 'b.png' }, { name: 'c.png' }]), '3 files', 'several files should be labeled with multipleFilesText');
+});
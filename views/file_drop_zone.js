@@ -0,0 +1,221 @@
+// ==========================================================================
+// Project:   SproutCore - Upload
+// Copyright: ©2011 7x7 Software Inc. and contributors.
+// License:   Licensed under MIT license
+// ==========================================================================
+
+/** @class
+
+  Accepts files dragged from the desktop and passes them to an SC.FileFieldView, where they go
+  through the same validation, delegate notifications and autoSubmit as files chosen with the
+  file field view's button (see SC.FileFieldView's selectFiles()).
+
+  While files are being dragged anywhere over the window, the view has the 'drag-active' class
+  and while they are over the view itself, it also has the 'drag-hover' class.
+
+  While a drop zone is attached, files dropped anywhere else in the window are ignored, rather
+  than the browser leaving the app to open them.  Drags that another drop target accepts, by
+  preventing the default, are left alone.
+
+  Because the dropped files can't be placed in the file field view's inputs, they can only be
+  uploaded by a transport that sends File objects, such as the default XMLHttpRequest transport.
+
+  @extends SC.View
+  @since SproutCore 1.0
+*/
+SC.FileDropZoneView = SC.View.extend({
+  classNames: 'sc-file-drop-zone-view'.w(),
+
+  /**
+    The file field view that receives the dropped files.
+
+    @property {SC.FileFieldView}
+    */
+  fileFieldView: null,
+
+  /**
+    YES while files are being dragged over the window.
+
+    @property {Boolean}
+    */
+  isDragActive: NO,
+
+  /**
+    YES while files are being dragged over this view.
+
+    @property {Boolean}
+    */
+  isDragHovering: NO,
+
+  displayProperties: 'isDragActive isDragHovering isEnabled'.w(),
+
+  render: function(context, firstTime) {
+    context.setClass({
+      'drag-active': this.get('isDragActive'),
+      'drag-hover': this.get('isDragHovering')
+    });
+    sc_super();
+  },
+
+  didCreateLayer: function() {
+    var layer = this.get('layer');
+
+    SC.Event.add(layer, 'dragenter', this, this._dragEnter);
+    SC.Event.add(layer, 'dragover', this, this._dragOver);
+    SC.Event.add(layer, 'dragleave', this, this._dragLeave);
+    SC.Event.add(layer, 'drop', this, this._drop);
+
+    SC.Event.add(document, 'dragenter', this, this._documentDragEnter);
+    SC.Event.add(document, 'dragover', this, this._documentDragOver);
+    SC.Event.add(document, 'dragleave', this, this._documentDragLeave);
+    SC.Event.add(document, 'drop', this, this._documentDrop);
+  },
+
+  willDestroyLayer: function() {
+    var layer = this.get('layer');
+
+    SC.Event.remove(layer, 'dragenter', this, this._dragEnter);
+    SC.Event.remove(layer, 'dragover', this, this._dragOver);
+    SC.Event.remove(layer, 'dragleave', this, this._dragLeave);
+    SC.Event.remove(layer, 'drop', this, this._drop);
+
+    SC.Event.remove(document, 'dragenter', this, this._documentDragEnter);
+    SC.Event.remove(document, 'dragover', this, this._documentDragOver);
+    SC.Event.remove(document, 'dragleave', this, this._documentDragLeave);
+    SC.Event.remove(document, 'drop', this, this._documentDrop);
+  },
+
+  /**
+    YES if the drag contains files and both this view and the file field view are enabled.
+
+    @param evt {SC.Event} The drag event.
+    @returns {Boolean}
+    */
+  acceptsDrag: function(evt) {
+    var fileFieldView = this.get('fileFieldView');
+
+    if (!this.get('isEnabled') || !fileFieldView || !fileFieldView.get('isEnabled')) { return NO; }
+
+    return this._isFileDrag(evt);
+  },
+
+  /** @private */
+  _isFileDrag: function(evt) {
+    var dataTransfer = evt.originalEvent ? evt.originalEvent.dataTransfer : null,
+        types, i;
+
+    if (!dataTransfer) { return NO; }
+
+    types = dataTransfer.types || [];
+    for (i = 0; i < types.length; i++) {
+      if (types[i] === 'Files') { return YES; }
+    }
+
+    return NO;
+  },
+
+  _dragEnter: function(evt) {
+    if (!this.acceptsDrag(evt)) { return YES; }
+
+    this._hoverCount = (this._hoverCount || 0) + 1;
+    SC.RunLoop.begin();
+    this.setIfChanged('isDragHovering', YES);
+    SC.RunLoop.end();
+    evt.preventDefault();
+
+    return NO;
+  },
+
+  _dragOver: function(evt) {
+    if (!this.acceptsDrag(evt)) { return YES; }
+
+    evt.originalEvent.dataTransfer.dropEffect = 'copy';
+    evt.preventDefault();
+
+    return NO;
+  },
+
+  _dragLeave: function(evt) {
+    // Leaving a child element fires dragleave on the layer as well
+    this._hoverCount = Math.max((this._hoverCount || 0) - 1, 0);
+    if (this._hoverCount === 0) {
+      SC.RunLoop.begin();
+      this.setIfChanged('isDragHovering', NO);
+      SC.RunLoop.end();
+    }
+
+    return YES;
+  },
+
+  _drop: function(evt) {
+    var files;
+
+    this._endDrag();
+
+    if (!this.acceptsDrag(evt)) { return YES; }
+
+    evt.preventDefault();
+    evt.stopPropagation();
+
+    files = evt.originalEvent.dataTransfer.files;
+    if (files && files.length) {
+      SC.RunLoop.begin();
+      this.get('fileFieldView').selectFiles(files);
+      SC.RunLoop.end();
+    }
+
+    return NO;
+  },
+
+  _documentDragEnter: function(evt) {
+    if (!this.acceptsDrag(evt)) { return YES; }
+
+    this._activeCount = (this._activeCount || 0) + 1;
+    SC.RunLoop.begin();
+    this.setIfChanged('isDragActive', YES);
+    SC.RunLoop.end();
+
+    return YES;
+  },
+
+  _documentDragOver: function(evt) {
+    if (!this._isFileDrag(evt) || evt.originalEvent.defaultPrevented) { return YES; }
+
+    // Files can't be dropped outside of the drop zone
+    evt.originalEvent.dataTransfer.dropEffect = 'none';
+    evt.preventDefault();
+
+    return NO;
+  },
+
+  _documentDragLeave: function(evt) {
+    this._activeCount = Math.max((this._activeCount || 0) - 1, 0);
+    if (this._activeCount === 0) {
+      SC.RunLoop.begin();
+      this.setIfChanged('isDragActive', NO);
+      SC.RunLoop.end();
+    }
+
+    return YES;
+  },
+
+  _documentDrop: function(evt) {
+    this._endDrag();
+
+    if (!this._isFileDrag(evt) || evt.originalEvent.defaultPrevented) { return YES; }
+
+    // Don't let the browser leave the app to open the files
+    evt.preventDefault();
+
+    return NO;
+  },
+
+  _endDrag: function() {
+    this._hoverCount = this._activeCount = 0;
+    SC.RunLoop.begin();
+    this.setIfChanged('isDragHovering', NO);
+    this.setIfChanged('isDragActive', NO);
+    SC.RunLoop.end();
+  }
+
+});
@@ -4,15 +4,41 @@
 // License:   Licensed under MIT license
 // ==========================================================================
 
+sc_require('system/file_upload_error');
+sc_require('system/file_upload_iframe_transport');
+sc_require('system/file_upload_xhr_transport');
+sc_require('system/file_upload_chunked_transport');
+sc_require('system/file_upload_tus_transport');
+sc_require('system/file_upload_presigned_transport');
+sc_require('system/file_upload_progress_poller');
+sc_require('system/file_image_resizer');
+sc_require('system/file_checksum');
+
 /** @class
 
   Implements a customized file input by creating a transparent file type input over top of a
-  SC.ButtonView and using a hidden iframe to receive results (simulated AJAX).
+  SC.ButtonView.  The files are uploaded with XMLHttpRequest and FormData in browsers that support
+  it, otherwise a hidden iframe is used to receive results (simulated AJAX).  See uploadTransport.
 
   There is only one caveat to using SC.FileFieldView unmodified, which is, on completion of the
   file load, the server must return a plain/text document containing stringified JSON.
   SC.FileFieldView will parse the document (assuming it's plain/text) and pass the resulting
-  JSON object to its delegate.
+  JSON object to its delegate.  Set responseParser to read other responses.
+
+  The upload lifecycle is tracked in uploadState:
+
+    idle ─> selected ─> validating ─> uploading ─> complete
+                            │  │          ├──────> failed
+                            │  └──────────┴──────> cancelled
+                            └────────────────────> queued
+
+  Each state is entered along with a delegate method: selected with fileFieldValueDidChange,
+  validating with fileFieldViewWillSubmit, uploading with fileFieldViewDidSubmit and complete,
+  failed and cancelled with fileFieldViewDidComplete, fileFieldViewDidFail and
+  fileFieldViewDidCancel.  With an uploadQueue, the files are handed over to the queue instead of
+  being uploaded, and queued is entered with fileFieldViewDidSubmit.  The view is disabled while validating and uploading.  Calling a method
+  that isn't allowed in the current state (see SC.FileFieldView.allowedActions), such as
+  submitForm() while uploading, throws an SC.Error.
 
   @extends SC.View
   @since SproutCore 1.0
@@ -81,6 +107,31 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
     */
   displaysSelectedFilename: YES,
 
+  /**
+    Set this to YES to show a remove button at the end of each row with a selection.  Removing a
+    file from a progressive file field view removes its row, otherwise the row is cleared.  See
+    removeFile().
+
+    @property {Boolean}
+    */
+  allowsFileRemoval: NO,
+
+  /**
+    The title of the remove button.  See allowsFileRemoval.
+
+    @property {String}
+    */
+  removeButtonTitle: "&times;",
+
+  /**
+    Set this to YES to show a thumbnail of the selected image between each button and its label.
+    The thumbnail is read from the file with an object URL (or a FileReader in browsers without
+    URL.createObjectURL), so it is only shown in browsers that support the File API.
+
+    @property {Boolean}
+    */
+  displaysPreview: NO,
+
   /**
     The submit action for the form.  This should be the path to your server's upload handler.
 
@@ -115,24 +166,395 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
   autoSubmit: YES,
 
   /**
-    The maximum number of file uploads.  A value greater than one will create multiple file inputs or set the HTML5 'multiple' attribute for a single input in browsers that support it.
+    Reset the view (see reset()) after each successful upload, once the delegate has received
+    fileFieldViewDidComplete, or once the files are handed to the uploadQueue, so that it is ready
+    for the next upload.
+
+    @property {Boolean}
+    */
+  resetAfterComplete: NO,
+
+  /**
+    The maximum number of file uploads.  A value greater than one will create multiple file inputs, unless
+    allowsMultipleSelection is set, in which case it limits the number of files that may be selected at once.
 
-    TODO: add the multiple attribute code per browser
+    This may be changed at any time, the inputs are added or removed to match.  Selections are kept, unless there
+    are more than numberOfFiles, in which case the last are removed.
 
     @property {Number}
     */
   numberOfFiles: 1,
 
+  /**
+    The minimum number of files that must be selected.  A selection of several files at once, with
+    allowsMultipleSelection or selectFiles(), that has fewer files is rejected, and submitting fewer
+    files, such as with one input per file, throws an SC.Error.
+
+    @property {Number}
+    */
+  minNumberOfFiles: 0,
+
+  /**
+    Use a single input with the HTML5 'multiple' attribute, so that several files may be selected at once, rather
+    than one input per file.  The selection is rejected if it contains more than numberOfFiles files.
+
+    In this mode, the value passed to fileFieldValueDidChange is an array of file descriptors, each a hash with the
+    file's name, size and type.
+
+    @property {Boolean}
+    */
+  allowsMultipleSelection: NO,
+
+  /**
+    The text to the right of the button when more than one file is selected with allowsMultipleSelection.  The
+    number of files replaces %@.
+
+    @property {String}
+    */
+  multipleFilesText: "%@ files",
+
+  /**
+    Announced to screen readers when files are selected.  The file name (or multipleFilesText)
+    replaces %@.  The emptyText is announced when the selection is cleared.
+
+    @property {String}
+    */
+  selectedAnnouncement: "%@ selected",
+
+  /**
+    Announced to screen readers as each quarter of the upload is sent.  The percentage replaces %@.
+
+    @property {String}
+    */
+  progressAnnouncement: "%@% uploaded",
+
+  /**
+    Announced to screen readers when the upload completes.
+
+    @property {String}
+    */
+  completeAnnouncement: "Upload complete",
+
+  /**
+    Announced to screen readers when the upload fails.  The error message replaces %@.
+
+    @property {String}
+    */
+  failedAnnouncement: "Upload failed. %@",
+
+  /**
+    Announced to screen readers when the upload is aborted.
+
+    @property {String}
+    */
+  cancelledAnnouncement: "Upload cancelled",
+
+  /**
+    The types of file that may be selected.  Each item is either a MIME type, such as 'image/png' or
+    'image/*', or a file extension, such as '.pdf'.  These are rendered as the input's accept
+    attribute and any other file selected is rejected (see fileFieldViewDidRejectFile).
+
+    Set this to null to accept all files.  This may be changed at any time.
+
+    @property {Array}
+    */
+  acceptedTypes: null,
+
+  /**
+    The maximum size in bytes of each selected file.  Larger files are rejected.  Requires the
+    File API, in older browsers the size is not checked.
+
+    @property {Number}
+    */
+  maxFileSize: null,
+
+  /**
+    The minimum size in bytes of each selected file.  Smaller files are rejected.  Requires the
+    File API, in older browsers the size is not checked.
+
+    @property {Number}
+    */
+  minFileSize: null,
+
+  /**
+    The maximum width in pixels of uploaded images.  When maxImageWidth or maxImageHeight is set,
+    JPEG, PNG and WebP images that are larger are shrunk in the browser before they are uploaded
+    (see SC.FileImageResizer).  The EXIF orientation of JPEG images is applied as they are
+    resized.
+
+    Since the resized image can't be placed back in the input, it can only be uploaded by a
+    transport that sends File objects, such as 'xhr'.
+
+    @property {Number}
+    */
+  maxImageWidth: null,
+
+  /**
+    The maximum height in pixels of uploaded images.  See maxImageWidth.
+
+    @property {Number}
+    */
+  maxImageHeight: null,
+
+  /**
+    The quality, from 0 to 1, used to encode resized images in lossy formats.
+
+    @property {Number}
+    */
+  imageQuality: 0.92,
+
+  /**
+    The MIME type, such as 'image/jpeg', to encode resized images as or null to keep the type of
+    the original image.
+
+    @property {String}
+    */
+  imageFormat: null,
+
+  /**
+    Functions that transform each file before it is uploaded, for example to compress it or to strip
+    its metadata.  Each function is passed the File or Blob (the result of the previous function)
+    and the file field view, and returns a Promise for the transformed Blob.  The transforms are run
+    in order, after any image resizing, when the files are submitted.
+
+    If a Promise is rejected, the upload fails with an SC.FileUploadError.TRANSFORM error.
+
+    Like resized images, transformed files can only be uploaded by a transport that sends File
+    objects, such as 'xhr'.  Submitting them with the 'iframe' transport throws an SC.Error.
+
+    @property {Array}
+    */
+  fileTransforms: null,
+
+  /**
+    The checksums, 'sha256' and/or 'md5', to compute of each file before it is uploaded.  The files
+    are read in chunks, after any fileTransforms, and the checksums are sent as fields along with
+    the hiddenInputs (see checksumFieldNames) and passed to the delegate with
+    fileFieldViewDidComputeChecksums.
+
+    The 'presigned' transport doesn't send these fields, so the checksums must be included in the
+    presigned post returned by fileFieldViewPresignedPostForFile (see SC.FileUploadPresignedTransport).
+
+    Set this to null to not compute checksums.
+
+    @property {Array}
+    */
+  checksumAlgorithms: null,
+
+  /**
+    The names of the fields the checksums are sent as.  With several files, the field is repeated
+    once for each file, in the order of the files.  The SHA-256 is sent as hex and the MD5 as
+    base64, the encoding of a Content-MD5 header.
+
+    @property {Hash}
+    */
+  checksumFieldNames: { sha256: 'checksum_sha256', md5: 'checksum_md5' },
+
   /**
     NOTE: This property only applies if numberOfFiles > 1
 
     Show additional file upload buttons progressively as each is assigned a value.  If isProgressive is NO, then
     all of the file upload buttons (matching numberOfFiles) will be visible.
 
+    This may be changed at any time without losing the current selections.
+
     @property {Boolean}
     */
   isProgressive: YES,
 
+  /**
+    The transport used to upload the files.  This may be one of:
+
+      'auto'      - use 'xhr' if the browser supports it and fall back to 'iframe' otherwise
+      'xhr'       - send the files with XMLHttpRequest and FormData (see SC.FileUploadXHRTransport)
+      'iframe'    - submit the form into a hidden iframe (see SC.FileUploadIframeTransport)
+      'chunked'   - send each file in resumable chunks of chunkSize bytes (see SC.FileUploadChunkedTransport)
+      'tus'       - send each file with the tus resumable upload protocol (see SC.FileUploadTusTransport)
+      'presigned' - post each file directly to an S3-compatible object store with the presigned url and fields
+                    returned by the delegate's fileFieldViewPresignedPostForFile (see SC.FileUploadPresignedTransport)
+
+    You may also set this to your own subclass of SC.FileUploadTransport.
+
+    @property {String|SC.FileUploadTransport}
+    */
+  uploadTransport: 'auto',
+
+  /**
+    Parses the server's response before it is passed to the delegate.  This may be one of:
+
+      'json'        - stringified JSON
+      'wrappedJSON' - stringified JSON wrapped in a <pre> or <textarea> element
+      'xml'         - XML, passed to the delegate as a Document
+      'text'        - the text of the response, unchanged
+
+    You may also set this to a function taking the text (and, with the XMLHttpRequest transports, a hash with the
+    response's status, statusText, headers and text) and returning the result.  The function should throw if the
+    text can't be parsed, in which case the delegate receives fileFieldViewDidFail with an SC.FileUploadError.PARSE
+    error.
+
+    @property {String|Function}
+    */
+  responseParser: 'json',
+
+  /**
+    The number of bytes sent in each request when uploadTransport is 'chunked' or 'tus'.
+
+    @property {Number}
+    */
+  chunkSize: 1048576,
+
+  /**
+    The path to your server's handler reporting how many bytes of a chunked upload it has received.  When set, a
+    retried 'chunked' upload resumes from the last chunk the server acknowledged.  See SC.FileUploadChunkedTransport.
+
+    @property {String}
+    */
+  chunkResumeURL: null,
+
+  /**
+    When set, submitting hands the selected files over to this SC.FileUploadQueue, which uploads each file in a
+    separate request, instead of uploading them all in one request.
+
+    The files are still resized, transformed and checksummed first, and the delegate receives fileFieldViewWillSubmit
+    and fileFieldViewDidSubmit (with a null uuid).  Each file is sent with the queue's hiddenInputs, rather than the
+    view's, followed by its own checksum fields.  Once the files are in the queue, the uploadState becomes QUEUED and
+    the progress of each upload is tracked by the queue's items, so fileFieldViewDidComplete isn't called.
+
+    @property {SC.FileUploadQueue}
+    */
+  uploadQueue: null,
+
+  /**
+    The path to your server's upload progress handler, such as the progress location of the
+    NginxHttpUploadProgressModule.  When set and the upload transport can't report progress itself
+    (i.e. the hidden iframe), the handler is polled for the progress of each upload.  See
+    SC.FileUploadProgressPoller.
+
+    @property {String}
+    */
+  progressURL: null,
+
+  /**
+    The number of milliseconds between each query to progressURL.
+
+    @property {Number}
+    */
+  progressPollInterval: 1000,
+
+  /**
+    The number of milliseconds to wait for the server before giving up on an upload.  The wait
+    starts over each time progress is reported, so a large upload that is still moving isn't cut
+    off.  When the time runs out, the upload is aborted and the delegate receives
+    fileFieldViewDidFail with an SC.FileUploadError.TIMEOUT error.
+
+    Set this to 0 or null to wait indefinitely.
+
+    @property {Number}
+    */
+  uploadTimeout: null,
+
+  /**
+    The number of times a failed upload is automatically retried.  Only network, timeout and 5xx
+    HTTP status failures are retried, and the delegate may veto or delay each retry with
+    fileFieldViewShouldRetry.  The selected files are kept after a failure, so you may also retry
+    manually with retryUpload().
+
+    @property {Number}
+    */
+  maxRetries: 0,
+
+  /**
+    The number of milliseconds to wait before the first automatic retry.
+
+    @property {Number}
+    */
+  retryDelay: 1000,
+
+  /**
+    The wait before each following retry is multiplied by this amount (exponential backoff).
+
+    @property {Number}
+    */
+  retryBackoffMultiplier: 2,
+
+  /**
+    The selected files, as an array of hashes with the name, size and type of each file.  Without
+    the File API, only the names are known and the size and type are null.
+
+    This property is read only, it is updated whenever the selection changes.
+
+    @property {Array}
+    */
+  files: [],
+
+  /**
+    The selected files.  The same as files, so that the file field view may be bound to like other
+    controls.
+
+    @property {Array}
+    */
+  value: function() {
+    return this.get('files');
+  }.property('files').cacheable(),
+
+  /**
+    The number of selected files.
+
+    @property {Number}
+    */
+  selectionCount: function() {
+    return this.get('files').length;
+  }.property('files').cacheable(),
+
+  /**
+    YES if any files are selected.  Bind a submit button's isEnabled to this property.
+
+    @property {Boolean}
+    */
+  hasSelection: function() {
+    return this.get('selectionCount') > 0;
+  }.property('selectionCount').cacheable(),
+
+  /**
+    The stage of the upload, one of:
+
+      SC.FileFieldView.IDLE       - nothing is selected
+      SC.FileFieldView.SELECTED   - files are selected and haven't been uploaded
+      SC.FileFieldView.VALIDATING - the files are being prepared (see fileTransforms and checksumAlgorithms)
+      SC.FileFieldView.UPLOADING  - the files are being uploaded (or an automatic retry is waiting)
+      SC.FileFieldView.COMPLETE   - the files were uploaded
+      SC.FileFieldView.FAILED     - the upload failed
+      SC.FileFieldView.CANCELLED  - the upload was aborted
+
+    Changing the selection after an upload returns the state to SELECTED or IDLE.  See the upload
+    lifecycle in the description of SC.FileFieldView.
+
+    @property {String}
+    */
+  uploadState: 'idle',
+
+  /**
+    The fraction (0 to 1) of the current upload that has been sent.  Bind a progress bar's value
+    to this property.
+
+    @property {Number}
+    */
+  uploadProgress: 0,
+
+  /**
+    The number of bytes of the current upload that have been sent.
+
+    @property {Number}
+    */
+  bytesSent: 0,
+
+  /**
+    The total number of bytes of the current upload.
+
+    @property {Number}
+    */
+  bytesTotal: 0,
+
   /**
     Submits the form and returns the unique X-Progress-ID that was submitted with the files.  If your backend is configured to track file uploads, such as with mod_upload_progress for lighttpd or NginxHttpUploadProgressModule, this X-Progress-ID can be used to periodically query the server for the progress of the upload.
 
@@ -140,138 +562,1039 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
 
     TODO: generate a universally (between clients) unique id and allow this to be set externally
 
+    If uploadQueue is set, the prepared files are added to the queue instead and null is returned.
+
+    Throws an SC.Error if there is no selection, fewer than minNumberOfFiles files are selected, the
+    files are already being uploaded, there is no transport matching uploadTransport or the transport
+    can't send the selected files (see selectFiles()).
+
     @returns {String} the unique identifier sent as X-Progress-ID with the upload request
    */
   submitForm: function() {
-    // Create the results capturing iframe
-    this._createIframe();
+    var minNumberOfFiles = this.get('minNumberOfFiles');
+
+    this._checkAction('submit');
+
+    if (this.get('selectionCount') < minNumberOfFiles) {
+      throw SC.Error.desc("SC.FileFieldView needs at least %@ files to submit.".fmt(minNumberOfFiles), 'tooFew');
+    }
+
+    this._cancelRetry();
+    this._retryAttempt = 0;
+    this._lastError = null;
+    this._uploadId = null;
+
+    return this._sendUpload();
+  },
+
+  /**
+    Submits the current selection again after a failure.  If an automatic retry is waiting, it
+    happens immediately instead.
+
+    Throws an SC.Error unless the upload has failed or is waiting to retry.
+
+    @returns {String} the unique identifier sent as X-Progress-ID or null if there is no failed upload to retry
+    */
+  retryUpload: function() {
+    this._checkAction('retry');
+
+    if (!this._lastError || this._transport || this._preparing) { return null; }
+
+    this._cancelRetry();
+    this._retryAttempt = (this._retryAttempt || 0) + 1;
 
-    var uuid = "";
+    return this._sendUpload();
+  },
+
+  /**
+    The number of milliseconds to wait before the given automatic retry.  See retryDelay and
+    retryBackoffMultiplier.
+
+    @param attempt {Number} The retry attempt, starting at 1.
+    @returns {Number}
+    */
+  retryDelayForAttempt: function(attempt) {
+    return this.get('retryDelay') * Math.pow(this.get('retryBackoffMultiplier'), attempt - 1);
+  },
+
+  _sendUpload: function() {
+    var uploadQueue = this.get('uploadQueue'),
+        transportClass = uploadQueue ? null : this._transportClass(),
+        uuid = "";
     for (var i = 0; i < 24; i++) {
       uuid += Math.floor(Math.random() * 16);
     }
 
+    // Retries keep the id of the first attempt, so that a resumable upload can continue
+    if (!this._uploadId) { this._uploadId = uuid; }
+
     var del = this.get('delegate') ? this.get('delegate') : this;
+
+    // Fail before the view is disabled, since the files could never be sent
+    if (!uploadQueue && !transportClass) {
+      throw SC.Error.desc("SC.FileFieldView has no uploadTransport named %@.".fmt(this.get('uploadTransport')), 'badTransport');
+    }
+
+    // The form would be submitted without the files, which aren't in the inputs
+    if (transportClass && !transportClass.prototype.sendsFileObjects && this._droppedFiles) {
+      throw SC.Error.desc("SC.FileFieldView can't upload dropped or selectFiles() files with a transport that submits the form.", 'badTransport');
+    }
+
+    // The original files would be sent instead, without matching their checksums
+    if (transportClass && !transportClass.prototype.sendsFileObjects && this._transformsForUpload().length > 0) {
+      throw SC.Error.desc("SC.FileFieldView can't upload resized or transformed files with a transport that submits the form.", 'badTransport');
+    }
+
+    this._gotoState(SC.FileFieldView.VALIDATING);
     this.invokeDelegateMethod(del, 'fileFieldViewWillSubmit', this);
 
-    // Update the form action
-    this._form.set('action', this.get('formAction'));
-    
-    // Update any hidden fields
-    var hiddenInputs = this.get('hiddenInputs');
-    if (!SC.empty(hiddenInputs)) {
-      for (var i = 0, e = hiddenInputs.get('length'); i < e; i++) {
-        this.updateHiddenFieldValue(hiddenInputs.objectAt(i).key, hiddenInputs.objectAt(i).value);
+    this.setIfChanged('uploadProgress', 0);
+    this.setIfChanged('bytesSent', 0);
+    this.setIfChanged('bytesTotal', 0);
+    this._announcedQuarter = 0;
+
+    this._prepareFiles(this._filesForUpload(), function(files, fields) {
+      if (uploadQueue) {
+        this._queueFiles(uploadQueue, files);
+        return;
       }
-    }
 
-    // Complete a run loop so that the form target and action are updated before the form is submitted
-    SC.RunLoop.begin();
-    // Set the target of our form to be this iFrame
-    this._form.set('target', this._iframe.$()[0].name);
-    // Generate a new unique id, so that the same form could be submitted  twice
-    this._form.set('uuid', uuid);
-    // TODO: does this value get used by any one? this._form.xProgressIDField.set('uuid', uuid);
-    SC.RunLoop.end();
+      var transport;
 
-    // Monitor the onload event of the iframe when the upload completes
-    SC.Event.add(this._iframe.$()[0], "load", this, this._iframeLoad);
+      try {
+        transport = this._transport = this.createTransport(uuid, files, fields);
+      } catch(err) {
+        this._uploadDidFail(SC.FileUploadError.error(SC.FileUploadError.SEND, 'Unable to start the file upload. %@'.fmt(err)));
+        return;
+      }
+
+      // Notify the delegate before sending, since the transport may finish at once, for example if it fails immediately
+      this._gotoState(SC.FileFieldView.UPLOADING);
+      this.invokeDelegateMethod(del, 'fileFieldViewDidSubmit', this, uuid);
+
+      // The delegate may have aborted the upload
+      if (this._transport !== transport) { return; }
+
+      this._startUploadTimer();
+      if (this.get('progressURL') && !transport.get('reportsProgress')) {
+        this._startProgressPoller(uuid);
+      }
+
+      try {
+        transport.send();
+      } catch(err) {
+        this._uploadDidFail(SC.FileUploadError.error(SC.FileUploadError.SEND, 'Unable to start the file upload. %@'.fmt(err)));
+      }
+    });
+
+    return uploadQueue ? null : uuid;
+  },
+
+  /** @private
+    Hands the prepared files over to the upload queue, each with its own checksum fields.
+  */
+  _queueFiles: function(uploadQueue, files) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+
+    try {
+      uploadQueue.addFiles(files.map(function(item) {
+        return { file: item.file, filename: item.filename, fields: item.fields };
+      }));
+    } catch(err) {
+      this._uploadDidFail(SC.FileUploadError.error(SC.FileUploadError.SEND, 'Unable to start the file upload. %@'.fmt(err)));
+      return;
+    }
+
+    this._lastError = null;
+    this._gotoState(SC.FileFieldView.QUEUED);
+    this.invokeDelegateMethod(del, 'fileFieldViewDidSubmit', this, null);
+
+    if (this.get('resetAfterComplete')) { this.reset(); }
+  },
+
+  /** @private
+    Passes the files to be uploaded through the transforms, one file at a time, computes their
+    checksums and calls the callback with the transformed files and the fields to send with them.
+    The checksum fields of each file are also set as the fields of its item.
+    Without any transforms or checksums, the callback is called immediately.
+  */
+  _prepareFiles: function(files, callback) {
+    var transforms = this._transformsForUpload(),
+        algorithms = this.get('checksumAlgorithms'),
+        fields = (this.get('hiddenInputs') || []).slice(),
+        ret = [],
+        self = this,
+        chain, token, i;
+
+    if (transforms.length === 0 && SC.empty(algorithms)) {
+      callback.call(this, files, null);
+      return;
+    }
+
+    // Aborting the upload replaces the token, so that the remaining files are ignored
+    token = this._preparing = {};
+
+    chain = Promise.resolve();
+    for (i = 0; i < files.length; i++) {
+      chain = this._chainFileTransforms(chain, files[i], transforms, token, ret);
+    }
+
+    if (!SC.empty(algorithms)) {
+      chain = chain.then(function() {
+        var checksums = Promise.resolve(),
+            j;
+
+        for (j = 0; j < ret.length; j++) {
+          checksums = self._chainChecksums(checksums, ret[j], algorithms, token, fields);
+        }
+
+        return checksums;
+      });
+    }
+
+    chain.then(function() {
+      if (self._preparing !== token) { return; }
+      self._preparing = null;
+
+      // Always end the run loop, even if starting the upload throws
+      SC.RunLoop.begin();
+      try {
+        callback.call(self, ret, fields);
+      } finally {
+        SC.RunLoop.end();
+      }
+    }, function(reason) {
+      if (self._preparing !== token) { return; }
+      self._preparing = null;
+
+      SC.RunLoop.begin();
+      try {
+        self._uploadDidFail(SC.FileUploadError.error(SC.FileUploadError.TRANSFORM, 'Unable to prepare the file for upload. %@'.fmt(reason)));
+      } finally {
+        SC.RunLoop.end();
+      }
+    });
+  },
+
+  /** @private
+    Appends the transforms of a single file to the chain.  The transformed file is added to ret.
+  */
+  _chainFileTransforms: function(chain, item, transforms, token, ret) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        filename = item.filename || item.file.name || '',
+        self = this,
+        i;
+
+    chain = chain.then(function() {
+      // The files may only be prepared for their checksums
+      if (self._preparing !== token || transforms.length === 0) { return item.file; }
+
+      SC.RunLoop.begin();
+      self.invokeDelegateMethod(del, 'fileFieldViewWillTransform', self, item.file);
+      SC.RunLoop.end();
+
+      return item.file;
+    });
+
+    for (i = 0; i < transforms.length; i++) {
+      chain = this._chainTransform(chain, transforms[i], token);
+    }
+
+    return chain.then(function(file) {
+      if (file === item.file) {
+        ret.push(item);
+      } else {
+        // Keep the original name, unless the transform named the file or changed its type
+        if (file.name) {
+          filename = file.name;
+        } else if (file.type && file.type !== item.file.type) {
+          filename = SC.FileImageResizer.fileNameForType(filename, file.type);
+        }
+        ret.push({ name: item.name, file: file, filename: filename });
+      }
+    });
+  },
+
+  /** @private */
+  _chainTransform: function(chain, transform, token) {
+    var self = this;
+
+    return chain.then(function(file) {
+      // Skip the remaining transforms once the upload is aborted
+      if (self._preparing !== token) { return file; }
+
+      return Promise.resolve(transform(file, self)).then(function(result) {
+        if (!(result instanceof Blob)) { throw new Error('The transform did not return a Blob.'); }
+        return result;
+      });
+    });
+  },
+
+  /** @private
+    Appends the checksums of a single file to the chain.  The checksum fields are added to fields
+    and to the item's own fields.
+  */
+  _chainChecksums: function(chain, item, algorithms, token, fields) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        names = this.get('checksumFieldNames'),
+        file = item.file,
+        self = this;
+
+    return chain.then(function() {
+      if (self._preparing !== token) { return; }
+
+      return new Promise(function(resolve, reject) {
+        self._checksum = SC.FileChecksum.create({ algorithms: algorithms }).compute(file, function(checksums, error) {
+          var algorithm, field, i;
+
+          self._checksum = null;
+          if (!checksums) {
+            reject(error);
+            return;
+          }
+
+          item.fields = [];
+          for (i = 0; i < algorithms.length; i++) {
+            algorithm = algorithms[i];
+            field = { key: names[algorithm], value: algorithm === 'md5' ? checksums[algorithm].base64 : checksums[algorithm].hex };
+            fields.push(field);
+            item.fields.push(field);
+          }
+
+          SC.RunLoop.begin();
+          self.invokeDelegateMethod(del, 'fileFieldViewDidComputeChecksums', self, file, checksums);
+          SC.RunLoop.end();
+
+          resolve();
+        });
+      });
+    });
+  },
+
+  /** @private
+    The image resizing, if maxImageWidth or maxImageHeight is set, followed by the fileTransforms.
+  */
+  _transformsForUpload: function() {
+    var maxImageWidth = this.get('maxImageWidth'),
+        maxImageHeight = this.get('maxImageHeight'),
+        fileTransforms = this.get('fileTransforms'),
+        ret = [],
+        resizer;
+
+    if (maxImageWidth || maxImageHeight) {
+      resizer = SC.FileImageResizer.create({
+        maxWidth: maxImageWidth,
+        maxHeight: maxImageHeight,
+        quality: this.get('imageQuality'),
+        format: this.get('imageFormat')
+      });
+
+      ret.push(function(file) {
+        return new Promise(function(resolve) {
+          resizer.resize(file, resolve);
+        });
+      });
+    }
+
+    return fileTransforms ? ret.concat(fileTransforms) : ret;
+  },
+
+  /**
+    Stops the upload in progress, if any, and re-enables the view so that the user may choose
+    different files or submit again.  The uploadState becomes CANCELLED and the delegate is notified
+    with fileFieldViewDidCancel.
+
+    @returns {Boolean} YES if an upload was in progress
+    */
+  abortUpload: function() {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+
+    if (!this._transport && !this._retryTimer && !this._preparing) { return NO; }
+
+    this._cancelRetry();
+    this._finishUpload(NO);
+    this._gotoState(SC.FileFieldView.CANCELLED);
+    this.announce(this.get('cancelledAnnouncement'));
+    this.invokeDelegateMethod(del, 'fileFieldViewDidCancel', this);
+
+    return YES;
+  },
+
+  /**
+    Checks the file against acceptedTypes, maxFileSize and minFileSize.
+
+    @param file {File} The file, or a hash with its name, size and type.
+    @returns {String} the reason the file is rejected (see SC.FileFieldView.REJECT_TYPE, etc.) or null if the file is acceptable
+    */
+  validateFile: function(file) {
+    var acceptedTypes = this.get('acceptedTypes'),
+        maxFileSize = this.get('maxFileSize'),
+        minFileSize = this.get('minFileSize'),
+        name = (file.name || '').toLowerCase(),
+        type = (file.type || '').toLowerCase(),
+        isAccepted, accepted, i, len;
+
+    if (!SC.empty(acceptedTypes)) {
+      isAccepted = NO;
+      for (i = 0, len = acceptedTypes.get('length'); i < len && !isAccepted; i++) {
+        accepted = acceptedTypes.objectAt(i).toLowerCase();
+
+        if (accepted.charAt(0) === '.') {
+          isAccepted = name.slice(-accepted.length) === accepted;
+        } else if (accepted.slice(-2) === '/*') {
+          isAccepted = type.indexOf(accepted.slice(0, -1)) === 0;
+        } else {
+          isAccepted = type === accepted;
+        }
+      }
+
+      if (!isAccepted) { return SC.FileFieldView.REJECT_TYPE; }
+    }
+
+    if (!SC.none(file.size)) {
+      if (!SC.none(maxFileSize) && file.size > maxFileSize) { return SC.FileFieldView.REJECT_TOO_LARGE; }
+      if (!SC.none(minFileSize) && file.size < minFileSize) { return SC.FileFieldView.REJECT_TOO_SMALL; }
+    }
+
+    return null;
+  },
+
+  /**
+    Selects the given files as if they had been chosen with the file input(s), for example the files dropped on an
+    SC.FileDropZoneView.  The files replace the current selection and go through the same validation, delegate
+    notifications and autoSubmit as a selection made with the inputs.
+
+    Since the files can't be placed in the inputs, they can only be uploaded by a transport that sends File objects,
+    such as 'xhr'.  Submitting them with the 'iframe' transport throws an SC.Error.
+
+    @param files {Array|FileList} The files to select.
+    @returns {Boolean} YES if the files were accepted
+    */
+  selectFiles: function(files) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        numberOfFiles = this.get('numberOfFiles'),
+        previousValue = this._values ? this._values[0] : null,
+        isValid = YES,
+        value, reason, i;
+
+    this._checkAction('select');
+
+    if (!files || files.length === 0) { return NO; }
+
+    for (i = 0; i < files.length; i++) {
+      reason = this._countRejectionFor(files, i) || this.validateFile(files[i]);
+      if (reason) {
+        isValid = NO;
+        this.invokeDelegateMethod(del, 'fileFieldViewDidRejectFile', this, files[i], reason);
+      }
+    }
+
+    if (!isValid) { return NO; }
+
+    // The files replace anything chosen with the inputs
+    this._form.$()[0].reset();
+    this._droppedFiles = [];
+    for (i = 0; i < files.length; i++) {
+      this._droppedFiles.push(files[i]);
+    }
+
+    if (this.get('allowsMultipleSelection') || files.length > 1) {
+      value = this._describeFiles(files);
+    } else {
+      value = files[0].name;
+    }
+    this._values = [value];
+    this._selectionDidChange();
+
+    this.invokeDelegateMethod(del, 'fileFieldValueDidChange', this, value, previousValue);
+
+    SC.RunLoop.begin();
+    for (i = 0; i < this._buttons.length; i++) {
+      this._labels[i].set('value', this.get('emptyText'));
+      this._buttons[i].set('title', this.get('buttonTitle'));
+    }
+    if (this.get('displaysSelectedFilename')) { this._labels[0].set('value', this._labelValueFor(value)); }
+    if (this.get('fileSelectedButtonTitle')) { this._buttons[0].set('title', this.get('fileSelectedButtonTitle')); }
+    SC.RunLoop.end();
+
+    for (i = 0; i < this._buttons.length; i++) {
+      this._updatePreview(i, i === 0 ? files : null);
+    }
+    this._updateRemoveButtons();
+
+    if (this.get('autoSubmit') && (this.get('allowsMultipleSelection') || files.length === numberOfFiles)) {
+      if (this.invokeDelegateMethod(del, 'fileFieldViewShouldSubmit', this)) { this.submitForm(); }
+    }
+
+    return YES;
+  },
+
+  /**
+    Creates the transport that will upload the files for the given X-Progress-ID.  See uploadTransport.
+
+    @param uuid {String} The unique identifier to send as X-Progress-ID.
+    @param files {Array} The files to upload, by default those selected.
+    @param fields {Array} The fields to send, by default the hiddenInputs.
+    @returns {SC.FileUploadTransport} the transport
+    */
+  createTransport: function(uuid, files, fields) {
+    var transportClass = this._transportClass();
+
+    if (!transportClass) {
+      throw SC.Error.desc("SC.FileFieldView has no uploadTransport named %@.".fmt(this.get('uploadTransport')), 'badTransport');
+    }
+
+    return transportClass.create({
+      fileFieldView: this,
+      delegate: this,
+      url: this.get('formAction'),
+      uuid: uuid,
+      uploadId: this._uploadId || uuid,
+      fields: fields || this.get('hiddenInputs'),
+      files: files || this._filesForUpload(),
+      responseParser: this.get('responseParser'),
+      chunkSize: this.get('chunkSize'),
+      resumeURL: this.get('chunkResumeURL')
+    });
+  },
+
+  /** @private
+    The transport class matching uploadTransport or undefined if there is none.
+  */
+  _transportClass: function() {
+    var transportClass = this.get('uploadTransport');
+
+    if (transportClass === 'auto') {
+      transportClass = SC.FileUploadXHRTransport.isSupported() ? 'xhr' : 'iframe';
+    }
+
+    if (SC.typeOf(transportClass) === SC.T_STRING) {
+      transportClass = SC.FileFieldView.transports[transportClass];
+    }
+
+    return transportClass;
+  },
+
+  delegate: null,
+
+  didCreateLayer: function() {
+    // Create the form (and iframe and input(s))
+    this._createForm();
+  },
+
+  /** @private
+    Adds or removes inputs to match numberOfFiles and isProgressive once the form is created.
+  */
+  _inputConfigurationDidChange: function() {
+    var numberOfFiles = this.get('numberOfFiles'),
+        del = this.get('delegate') ? this.get('delegate') : this,
+        inputs = this._inputs,
+        values, removedValues = [],
+        idx, i;
+
+    if (!inputs || this.get('allowsMultipleSelection')) { return; }
+
+    if (!this._values) { this._values = []; }
+    values = this._values;
+
+    SC.RunLoop.begin();
+
+    // A progressive file field view has its selections followed by a single empty input
+    if (this.get('isProgressive')) {
+      for (idx = inputs.length - 2; idx >= 0; idx--) {
+        if (SC.empty(values[idx])) { this._removeInputAt(idx); }
+      }
+    }
+
+    // Remove the empty inputs first, then the last of the selections
+    for (idx = inputs.length - 1; idx >= 0 && inputs.length > numberOfFiles; idx--) {
+      if (SC.empty(values[idx])) { this._removeInputAt(idx); }
+    }
+    while (inputs.length > numberOfFiles) {
+      removedValues.unshift(values[inputs.length - 1]);
+      this._removeInputAt(inputs.length - 1);
+    }
+
+    SC.RunLoop.end();
+
+    if (this.get('isProgressive')) {
+      if (inputs.length === 0 || (inputs.length < numberOfFiles && !SC.empty(values[inputs.length - 1]))) { this._createInput(); }
+    } else {
+      while (inputs.length < numberOfFiles) { this._createInput(); }
+    }
+
+    this._updateRemoveButtons();
+    this._resizeToFitInputs();
+    if (removedValues.length > 0) { this._selectionDidChange(); }
+
+    for (i = 0; i < removedValues.length; i++) {
+      this.invokeDelegateMethod(del, 'fileFieldValueDidChange', this, null, removedValues[i]);
+    }
+  }.observes('numberOfFiles', 'isProgressive'),
+
+  /** @private
+    Updates the accept attribute of the inputs, which is only rendered when they are created.
+  */
+  _acceptedTypesDidChange: function() {
+    var acceptedTypes = this.get('acceptedTypes'),
+        accept = SC.empty(acceptedTypes) ? null : acceptedTypes.join(','),
+        inputs = this._inputs,
+        i;
+
+    if (!inputs) { return; }
+
+    for (i = 0; i < inputs.length; i++) {
+      inputs[i].set('accept', accept);
+      if (accept) {
+        inputs[i].$().attr('accept', accept);
+      } else {
+        inputs[i].$().removeAttr('accept');
+      }
+    }
+  }.observes('acceptedTypes'),
+
+  /** SC.View **/
+
+  willDestroyLayer: function() {
+    var inputs = this._inputs,
+        idx;
+
+    // Stop any upload in progress
+    this._cancelRetry();
+    this._stopUpload();
+
+    this._revokePreviews();
+
+    if (inputs) {
+      for (idx = 0; idx < inputs.length; idx++) {
+        this._removeInputEvents(inputs[idx]);
+      }
+    }
+
+    this._inputs = null;
+    this.removeAllChildren();
+  },
+
+  /**
+    Clears the selection and the progress of the last upload, and returns the view to its initial
+    layout.  The additional inputs, buttons and labels added by a progressive file field view are
+    removed.
+    */
+  reset: function() {
+    var numberOfInputs = (this.get('isProgressive') || this.get('allowsMultipleSelection')) ? 1 : this.get('numberOfFiles'),
+        i;
+
+    if (!this._inputs) { return; }
+
+    this._checkAction('reset');
+
+    this._form.$()[0].reset();
+    this._revokePreviews();
+
+    this._values = null;
+    this._droppedFiles = null;
+    this._lastError = null;
+    this._uploadId = null;
+
+    SC.RunLoop.begin();
+    this.beginPropertyChanges();
+    this.set('uploadProgress', 0);
+    this.set('bytesSent', 0);
+    this.set('bytesTotal', 0);
+    this.endPropertyChanges();
+
+    while (this._inputs.length > numberOfInputs) {
+      this._removeInputAt(this._inputs.length - 1);
+    }
+
+    for (i = 0; i < this._inputs.length; i++) {
+      this._buttons[i].set('title', this.get('buttonTitle'));
+      this._labels[i].set('value', this.get('emptyText'));
+    }
+    SC.RunLoop.end();
+
+    this._updateRemoveButtons();
+    this._resizeToFitInputs();
+    this._selectionDidChange();
+  },
+
+  /**
+    Removes the file selected in the given row.  In a progressive file field view with more than one
+    row, the row is removed and the rows below it move up, otherwise the row is cleared.  The
+    delegate receives fileFieldValueDidChange with a null value.
+
+    @param idx {Number} The index of the row.
+    @returns {Boolean} YES if the row had a selection
+    */
+  removeFile: function(idx) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        values = this._values,
+        previousValue = values ? values[idx] : null,
+        input;
+
+    this._checkAction('remove');
+
+    if (!this._inputs || idx >= this._inputs.length || SC.empty(previousValue)) { return NO; }
+
+    if (idx === 0) { this._droppedFiles = null; }
+
+    if (this.get('isProgressive') && this._inputs.length > 1) {
+      SC.RunLoop.begin();
+      this._removeInputAt(idx);
+      SC.RunLoop.end();
+
+      // Keep an empty row for the next file, unless the others are still waiting for one
+      if (!SC.empty(values[this._inputs.length - 1])) { this._createInput(); }
+    } else {
+      input = this._inputs[idx];
+      input.$()[0].value = '';
+      values[idx] = null;
+
+      SC.RunLoop.begin();
+      this._labels[idx].set('value', this.get('emptyText'));
+      this._buttons[idx].set('title', this.get('buttonTitle'));
+      SC.RunLoop.end();
+      this._updatePreview(idx, null);
+    }
+
+    this._updateRemoveButtons();
+    this._resizeToFitInputs();
+    this._selectionDidChange();
+
+    this.invokeDelegateMethod(del, 'fileFieldValueDidChange', this, null, previousValue);
+
+    return YES;
+  },
+
+  _inputChange: function(evt) {
+    var input = this._inputs[evt.context],
+    button = this._buttons[evt.context],
+    label = this._labels[evt.context],
+    values = this._values;
+
+    // Initialize the values array if necessary
+    if (!values) { values = this._values = []; }
+
+    // A selection made with the inputs replaces any files selected with selectFiles()
+    if (this._droppedFiles) {
+      this._droppedFiles = null;
+      if (evt.context !== 0) {
+        values[0] = null;
+        SC.RunLoop.begin();
+        this._labels[0].set('value', this.get('emptyText'));
+        this._buttons[0].set('title', this.get('buttonTitle'));
+        SC.RunLoop.end();
+        this._updatePreview(0, null);
+      }
+    }
+
+    // Store the value
+    var value = input.$().val(),
+    previousValue = values[evt.context],
+    allowsMultipleSelection = this.get('allowsMultipleSelection'),
+    del = this.get('delegate') ? this.get('delegate') : this;
+
+    // Scrub "C:\fakepath" from value. Some browsers (notably IE and Chrome) use this to mask the
+    // actual path to the file for security reasons.  More here:
+    // http://acidmartin.wordpress.com/2009/06/09/the-mystery-of-cfakepath-unveiled/
+    if (SC.typeOf(value) === SC.T_STRING && value.indexOf("C:\\fakepath\\") === 0) {
+      value = value.slice("C:\\fakepath\\".length);
+    }
+
+    // Reject the selection before it can be submitted if any of the files aren't acceptable
+    if (!SC.empty(value) && !this._validateInput(input, value)) {
+      input.$()[0].value = '';
+      value = null;
+    }
+
+    if (allowsMultipleSelection && !SC.empty(value)) {
+      value = this._fileDescriptorsFor(input, value);
+    }
+
+    values[evt.context] = value;
+    this._selectionDidChange();
+
+    this.invokeDelegateMethod(del, 'fileFieldValueDidChange', this, value, previousValue);
+
+    if (SC.empty(value)) {
+      SC.RunLoop.begin();
+      label.set('value', this.get('emptyText'));
+      button.set('title', this.get('buttonTitle'));
+      SC.RunLoop.end();
+      this._updatePreview(evt.context, null);
+      this._updateRemoveButtons();
+      return;
+    }
+
+    SC.RunLoop.begin();
+    if (this.get('displaysSelectedFilename')) { label.set('value', this._labelValueFor(value)); }
+    if (this.get('fileSelectedButtonTitle')) { button.set('title', this.get('fileSelectedButtonTitle')); }
+    SC.RunLoop.end();
+    this._updatePreview(evt.context, input.$()[0].files);
+    this._updateRemoveButtons();
+
+    if (allowsMultipleSelection) {
+      // The whole selection is made at once, so there are no more inputs to wait for
+      if (this.get('autoSubmit') && this.invokeDelegateMethod(del, 'fileFieldViewShouldSubmit', this)) { this.submitForm(); }
+      return;
+    }
+
+    // Determine how many values are actually set
+    var count = 0;
+    for (var i = values.length - 1; i >= 0; i--) {
+      count += SC.empty(values[i]) ? 0 : 1;
+    }
+
+    if ((this.get('numberOfFiles') > this._inputs.length) && this.get('isProgressive') && (this._inputs.length === count)) {
+      // Insert another input for a progressive field if we haven't reached our limit and if there are no unset inputs
+      this._createInput();
+    } else if (this.get('autoSubmit')) {
+      // Check for actual set values (beware using length of array because setting the last value alone will make the length equal to numberOfFiles)
+      if (count === this.get('numberOfFiles')) {
+        // Autosubmit if we have a full (matching numberOfFiles) array of values and the delegate allows it
+        if (this.invokeDelegateMethod(del, 'fileFieldViewShouldSubmit', this)) { this.submitForm(); }
+      }
+    }
+  },
+
+  _validateInput: function(input, value) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        files = input.$()[0].files,
+        isValid = YES,
+        reason, i;
+
+    // Without the File API, only the name can be checked
+    if (!files) { files = [{ name: value }]; }
+
+    for (i = 0; i < files.length; i++) {
+      reason = (this.get('allowsMultipleSelection') && this._countRejectionFor(files, i)) || this.validateFile(files[i]);
+      if (reason) {
+        isValid = NO;
+        this.invokeDelegateMethod(del, 'fileFieldViewDidRejectFile', this, files[i], reason);
+      }
+    }
+
+    return isValid;
+  },
+
+  /** @private
+    REJECT_TOO_MANY if the file at idx is beyond numberOfFiles, REJECT_TOO_FEW if the selection has
+    fewer than minNumberOfFiles files or null.
+  */
+  _countRejectionFor: function(files, idx) {
+    if (idx >= this.get('numberOfFiles')) { return SC.FileFieldView.REJECT_TOO_MANY; }
+    if (files.length < this.get('minNumberOfFiles')) { return SC.FileFieldView.REJECT_TOO_FEW; }
+
+    return null;
+  },
+
+  _fileDescriptorsFor: function(input, value) {
+    var files = input.$()[0].files;
+
+    // Without the File API, only the name is known
+    if (!files || files.length === 0) { return [{ name: value, size: null, type: null }]; }
+
+    return this._describeFiles(files);
+  },
+
+  _describeFiles: function(files) {
+    var ret = [],
+        i;
+
+    for (i = 0; i < files.length; i++) {
+      ret.push({ name: files[i].name, size: files[i].size, type: files[i].type });
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Updates files, and uploadState unless an upload is in progress, from the selection.
+  */
+  _selectionDidChange: function() {
+    var values = this._values || [],
+        inputs = this._inputs || [],
+        files = [],
+        i;
+
+    if (this._droppedFiles) {
+      files = this._describeFiles(this._droppedFiles);
+    } else {
+      for (i = 0; i < inputs.length; i++) {
+        if (SC.empty(values[i])) { continue; }
+        files = files.concat(SC.typeOf(values[i]) === SC.T_ARRAY ? values[i] : this._fileDescriptorsFor(inputs[i], values[i]));
+      }
+    }
+
+    SC.RunLoop.begin();
+    this.set('files', files);
+    if (!this._isBusy()) { this._gotoState(files.length > 0 ? SC.FileFieldView.SELECTED : SC.FileFieldView.IDLE); }
+    SC.RunLoop.end();
+
+    if (files.length === 0) {
+      this.announce(this.get('emptyText'));
+    } else {
+      this.announce(this.get('selectedAnnouncement').fmt(files.length === 1 ? files[0].name : this.get('multipleFilesText').fmt(files.length)));
+    }
+  },
+
+  /**
+    Reads the message to screen reader users, through a visually hidden live region.
+
+    @param message {String} The message to announce.
+    */
+  announce: function(message) {
+    var liveRegion = this._liveRegion;
+
+    if (liveRegion && liveRegion.get('layer')) { liveRegion.$().text(message || ''); }
+  },
+
+  /** @private
+    Enters the state.  The view is disabled while validating or uploading and re-enabled once the
+    upload is complete, failed or cancelled, so that it is usable again whatever the outcome.
+  */
+  _gotoState: function(state) {
+    this.beginPropertyChanges();
+    this.set('uploadState', state);
+    if (this._isBusy()) {
+      this.set('isEnabled', NO);
+    } else if (state !== SC.FileFieldView.IDLE && state !== SC.FileFieldView.SELECTED) {
+      this.set('isEnabled', YES);
+    }
+    this.endPropertyChanges();
+  },
 
-    this._form.$()[0].submit();
+  /** @private */
+  _isBusy: function() {
+    var state = this.get('uploadState');
 
-    // disable ourselves while uploading
-    this.set('isEnabled', NO);
+    return state === SC.FileFieldView.VALIDATING || state === SC.FileFieldView.UPLOADING;
+  },
 
-    this.invokeLast(function() {
-      this.invokeDelegateMethod(del, 'fileFieldViewDidSubmit', this, uuid);
-    });
+  /** @private
+    Throws an SC.Error if the action isn't allowed in the current uploadState.
+  */
+  _checkAction: function(action) {
+    var state = this.get('uploadState');
 
-    return uuid;
+    if (SC.FileFieldView.allowedActions[state].indexOf(action) < 0) {
+      throw SC.Error.desc("SC.FileFieldView can't %@ in the %@ state.".fmt(action, state), 'badState');
+    }
   },
 
-  delegate: null,
+  _labelValueFor: function(value) {
+    if (SC.typeOf(value) !== SC.T_ARRAY) { return value; }
 
-  didCreateLayer: function() {
-    // Create the form (and iframe and input(s))
-    this._createForm();
+    return value.length === 1 ? value[0].name : this.get('multipleFilesText').fmt(value.length);
   },
 
-  /** SC.View **/
-
-  willDestroyLayer: function() {
-    var idx = this.get('numberOfFiles'),
-    input;
-    while (--idx >= 0) {
-      if (this._inputs) {
-        input = this._inputs[idx];
-        SC.Event.remove(input, 'mousedown', this, this._mouseDownInInput);
-        // TODO: [publickeating] is it necessary to unregister for the following?
-        SC.Event.remove(input, 'mouseup', this, this._mouseUpInInput);
-        SC.Event.remove(input, 'mouseout', this, this._mouseOutOfInput);
+  /** @private
+    Shows a thumbnail of the first image in files in the preview for the given row, or clears the
+    preview if there is no image.
+  */
+  _updatePreview: function(idx, files) {
+    var preview = this._previews ? this._previews[idx] : null,
+        sources = this._previewSources,
+        file = null,
+        self = this,
+        source, reader, i;
+
+    if (!preview) { return; }
+
+    this._revokePreview(idx);
+
+    if (files) {
+      for (i = 0; i < files.length; i++) {
+        if (/^image\//.test(files[i].type || '')) {
+          file = files[i];
+          break;
+        }
       }
     }
 
-    this._inputs = null;
-    this.removeAllChildren();
+    SC.RunLoop.begin();
+    preview.set('value', null);
+    SC.RunLoop.end();
+
+    if (!file) { return; }
+
+    source = sources[idx] = { file: file, url: null };
+    if (window.URL && window.URL.createObjectURL) {
+      source.url = window.URL.createObjectURL(file);
+
+      SC.RunLoop.begin();
+      preview.set('value', source.url);
+      SC.RunLoop.end();
+    } else if (window.FileReader) {
+      reader = new FileReader();
+      reader.onload = function() {
+        // Ignore the result if the selection has changed since
+        if (self._previewSources && self._previewSources[idx] === source) {
+          SC.RunLoop.begin();
+          preview.set('value', reader.result);
+          SC.RunLoop.end();
+        }
+      };
+      reader.readAsDataURL(file);
+    }
   },
 
-  reset: function() {
-    var button = this._buttons[0],
-        label = this._labels[0];
+  /** @private */
+  _revokePreview: function(idx) {
+    var source = this._previewSources ? this._previewSources[idx] : null;
 
-    this._form.$()[0].reset();
+    if (source && source.url) { window.URL.revokeObjectURL(source.url); }
+    if (this._previewSources) { this._previewSources[idx] = null; }
+  },
+
+  /** @private
+    Releases the object URLs of all the previews and clears them.
+  */
+  _revokePreviews: function() {
+    var previews = this._previews || [],
+        i;
 
-    // TODO: remove or clear all additional buttons and inputs
-    button.set('title', this.get('buttonTitle'));
-    label.set('value', '');
+    SC.RunLoop.begin();
+    for (i = 0; i < previews.length; i++) {
+      this._revokePreview(i);
+      if (previews[i]) { previews[i].set('value', null); }
+    }
+    SC.RunLoop.end();
   },
 
-  _inputChange: function(evt) {
-    var input = this._inputs[evt.context],
-    button = this._buttons[evt.context],
-    label = this._labels[evt.context],
-    values = this._values;
+  _keyDownInInput: function(evt) {
+    var which = evt.which || evt.keyCode,
+        input = this._inputs[evt.context],
+        del = this.get('delegate') ? this.get('delegate') : this;
 
-    // Initialize the values array if necessary
-    if (!values) { values = this._values = []; }
+    // Open the file select with Enter or Space, which not every browser does for a file input
+    if (which !== 13 && which !== 32) { return YES; }
 
-    // Store the value
-    var value = input.$().val(),
-    previousValue = values[evt.context];
+    if (this.invokeDelegateMethod(del, 'fileFieldViewShouldOpenFileSelect', this)) {
+      input.$()[0].click();
 
-    // Scrub "C:\fakepath" from value. Some browsers (notably IE and Chrome) use this to mask the
-    // actual path to the file for security reasons.  More here:
-    // http://acidmartin.wordpress.com/2009/06/09/the-mystery-of-cfakepath-unveiled/
-    if (SC.typeOf(value) === SC.T_STRING && value.indexOf("C:\\fakepath\\") === 0) {
-      value = value.slice("C:\\fakepath\\".length);
+      this.invokeLast(function() {
+        this.invokeDelegateMethod(del, 'fileFieldViewDidOpenFileSelect', this);
+      });
     }
 
-    values[evt.context] = value;
-
-    var del = this.get('delegate') ? this.get('delegate') : this;
-    this.invokeDelegateMethod(del, 'fileFieldValueDidChange', this, value, previousValue);
+    // Prevent the browser from opening the file select a second time
+    return NO;
+  },
 
+  _focusInInput: function(evt) {
+    // The input is invisible, so show its focus on the button
+    var button = this._buttons[evt.context];
     SC.RunLoop.begin();
-    if (this.get('displaysSelectedFilename')) { label.set('value', value); }
-    if (this.get('fileSelectedButtonTitle')) { button.set('title', this.get('fileSelectedButtonTitle')); }
+    button.set('isInputFocused', YES);
     SC.RunLoop.end();
+  },
 
-    // Determine how many values are actually set
-    var count = 0;
-    for (var i = values.length - 1; i >= 0; i--) {
-      count += SC.empty(values[i]) ? 0 : 1;
-    }
-
-    if ((this.get('numberOfFiles') > this._inputs.length) && this.get('isProgressive') && (this._inputs.length === count)) {
-      // Insert another input for a progressive field if we haven't reached our limit and if there are no unset inputs
-      this._createInput();
-    } else if (this.get('autoSubmit')) {
-      // Check for actual set values (beware using length of array because setting the last value alone will make the length equal to numberOfFiles)
-      if (count === this.get('numberOfFiles')) {
-        // Autosubmit if we have a full (matching numberOfFiles) array of values and the delegate allows it
-        if (this.invokeDelegateMethod(del, 'fileFieldViewShouldSubmit', this)) { this.submitForm(); }
-      }
-    }
+  _blurInInput: function(evt) {
+    var button = this._buttons[evt.context];
+    SC.RunLoop.begin();
+    button.set('isInputFocused', NO);
+    SC.RunLoop.end();
   },
 
   _mouseDownInInput: function(evt) {
@@ -323,77 +1646,6 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
     SC.RunLoop.end();
   },
 
-  _iframeLoad: function(evt) {
-    var result = null;
-    if (this._iframe.$()[0].contentWindow) { // Iframe body content for IE & Chrome
-      if (this._iframe.$()[0].contentWindow.document.body.firstChild.innerHTML) {
-        result = this._iframe.$()[0].contentWindow.document.body.firstChild.innerHTML;
-      } else {
-        // Chrome doesn't seem to have anything in innerHTML, but data gives us what we want
-        result = this._iframe.$()[0].contentWindow.document.body.firstChild.data;
-      }
-    } else if (this._iframe.$()[0].contentDocument) { // Iframe body content for other browsers
-      result = this._iframe.$()[0].contentDocument.body.firstChild.innerHTML;
-    } else {
-      throw 'Unable to retrieve file upload return value. Unknown iframe DOM structure.';
-    }
-
-    try {
-      result = JSON.parse(result);
-    } catch(err) {
-      // Unable to parse the result
-      console.error('Result:');
-      console.dirxml(this._iframe.$()[0]);
-      throw('Unable to parse file upload return value.\n\n' + err);
-    }
-
-    var del = this.get('delegate') ? this.get('delegate') : this;
-    this.invokeDelegateMethod(del, 'fileFieldViewDidComplete', this, result);
-
-    // re-enable ourselves
-    this.set('isEnabled', YES);
-
-    // Throw away the results frame (but pass on something)
-    this.invokeLast(function() {
-      SC.Event.remove(this._iframe.$()[0], 'load', this, this._iframeLoad);
-      this.removeChild(this._iframe);
-      this._iframe = null;
-    });
-  },
-
-  _createIframe: function() {
-    var iframe;
-
-    iframe = SC.View.create({
-      tagName: 'iframe',
-
-      classNames: 'sc-file-field-iframe'.w(),
-
-      layout: {
-        height: 1,
-        width: 1
-      },
-
-      displayProperties: 'name'.w(),
-
-      render: function(context, firstTime) {
-        var attributes = {
-          name: SC.guidFor(this),
-          src: 'about:blank',
-          border: 0
-        };
-        context.attr(attributes);
-        sc_super();
-      }
-    });
-
-    // Complete a run loop so that the iframe exists before being referenced
-    SC.RunLoop.begin();
-    this.appendChild(iframe);
-    this["_iframe"] = iframe;
-    SC.RunLoop.end();
-  },
-
   _createForm: function() {
     var form;
 
@@ -453,8 +1705,19 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
     this.appendChild(form);
     this["_form"] = form;
 
+    // Announces the selection and the upload's progress to screen readers (see announce())
+    this._liveRegion = SC.View.create({
+      layout: { left: 0, top: 0, width: 1, height: 1 },
+      classNames: 'sc-file-field-live-region'.w(),
+
+      render: function(context, firstTime) {
+        if (firstTime) { context.attr({ role: 'status', 'aria-live': 'polite' }); }
+      }
+    });
+    this.appendChild(this._liveRegion);
+
     // Create the default input(s)
-    if (this.get('isProgressive')) { // Start with a single input
+    if (this.get('isProgressive') || this.get('allowsMultipleSelection')) { // Start with a single input
       this._createInput();
     } else {
       var idx = this.get('numberOfFiles');
@@ -468,15 +1731,23 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
     var button, controlSize,
     frame,
     label, input, form = this._form,
-    layout = this.get('layout'),
+    preview = null, previewWidth = 0, removeButton = null,
     inputs = this._inputs,
     buttons = this._buttons,
-    labels = this._labels;
+    labels = this._labels,
+    previews = this._previews,
+    removeButtons = this._removeButtons,
+    removeButtonWidth = this.get('allowsFileRemoval') ? this.get('buttonHeight') + 5 : 0;
 
     // Initialize arrays if necessary
     if (!inputs) { inputs = this._inputs = []; }
     if (!buttons) { buttons = this._buttons = []; }
     if (!labels) { labels = this._labels = []; }
+    if (!previews) {
+      previews = this._previews = [];
+      this._previewSources = [];
+    }
+    if (!removeButtons) { removeButtons = this._removeButtons = []; }
 
     // Used to determine top offset for each childView
     var currentNumberOfInputs = this._inputs.length;
@@ -492,16 +1763,46 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
       themeName: this.get('buttonThemeName'),
       controlSize: this.get('controlSize'),
       escapeHTML: this.get('escapeHTML'),
-      isEnabledBinding: SC.Binding.oneWay('*parentView.isEnabled')
+      isEnabledBinding: SC.Binding.oneWay('*parentView.isEnabled'),
+      isInputFocused: NO,
+      displayProperties: 'isInputFocused'.w(),
+
+      render: function(context, firstTime) {
+        sc_super();
+
+        // The input over the button is the real control, the button only shows it
+        context.setClass('focus', this.get('isInputFocused'));
+        if (firstTime) { context.attr('aria-hidden', 'true'); }
+      }
     });
     this.insertBefore(button, form);
     buttons.push(button);
 
+    // The preview is a square thumbnail between the button and the label
+    if (this.get('displaysPreview')) {
+      previewWidth = this.get('buttonHeight') + 5;
+      preview = SC.ImageView.create({
+        layout: {
+          top: currentNumberOfInputs * (24 + this.BOTTOM_PADDING),
+          height: this.get('buttonHeight'),
+          width: this.get('buttonHeight'),
+          left: this.get('buttonWidth') + 5
+        },
+        classNames: 'sc-file-field-preview-view'.w(),
+        useImageCache: NO,
+        value: null
+      });
+      this.insertBefore(preview, form);
+    }
+    previews.push(preview);
+    this._previewSources.push(null);
+
     label = SC.LabelView.create({
       layout: {
         top: currentNumberOfInputs * (24 + this.BOTTOM_PADDING),
         height: this.get('buttonHeight'),
-        left: this.get('buttonWidth') + 5
+        left: this.get('buttonWidth') + 5 + previewWidth,
+        right: removeButtonWidth
       },
       classNames: 'sc-file-field-label-view'.w(),
       value: this.get('emptyText'),
@@ -531,7 +1832,10 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
       useStaticLayout: YES,
       tagName: 'input',
       name: this.get('inputName'),
+      accept: SC.empty(this.get('acceptedTypes')) ? null : this.get('acceptedTypes').join(','),
+      isMultiple: this.get('allowsMultipleSelection'),
       currentNumberOfInputs: currentNumberOfInputs,
+      ariaLabelledBy: '%@ %@'.fmt(button.get('layerId'), label.get('layerId')),
       // layout: {
       //   // left: 0,
       //   // "auto"
@@ -555,7 +1859,12 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
             parentView = this.get('parentView');
 
         if (firstTime) {
-          context.attr('type', 'file').attr('name', this.get('name')).attr('multiple', this.get('numberOfFiles') > 1);
+          context.attr('type', 'file').attr('name', this.get('name'));
+          if (this.get('isMultiple')) { context.attr('multiple', 'multiple'); }
+          if (this.get('accept')) { context.attr('accept', this.get('accept')); }
+
+          // Read as the button's title followed by the selected file name
+          context.attr('aria-labelledby', this.get('ariaLabelledBy'));
 
           height = parentView.get('buttonHeight');
           top = currentNumberOfInputs * (24 + parentView.BOTTOM_PADDING);
@@ -571,20 +1880,322 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
     form.appendChild(input);
     inputs.push(input);
 
+    // The remove button is added after the form so that it's above the input
+    if (this.get('allowsFileRemoval')) {
+      removeButton = SC.ButtonView.create({
+        layout: {
+          top: currentNumberOfInputs * (24 + this.BOTTOM_PADDING),
+          height: this.get('buttonHeight'),
+          width: this.get('buttonHeight'),
+          right: 0
+        },
+        classNames: 'sc-file-field-remove-button-view'.w(),
+        title: this.get('removeButtonTitle'),
+        themeName: this.get('buttonThemeName'),
+        controlSize: this.get('controlSize'),
+        escapeHTML: this.get('escapeHTML'),
+        isVisible: NO,
+        isEnabledBinding: SC.Binding.oneWay('*parentView.isEnabled'),
+        target: this,
+        action: '_removeButtonWasClicked'
+      });
+      this.appendChild(removeButton);
+    }
+    removeButtons.push(removeButton);
+
     SC.RunLoop.begin().end();
 
-    // Register for mousedown so that we can visually activate our button
-    SC.Event.add(input.$()[0], "mousedown", this, this._mouseDownInInput, currentNumberOfInputs);
-    SC.Event.add(input.$()[0], "change", this, this._inputChange, currentNumberOfInputs);
+    this._addInputEvents(input, currentNumberOfInputs);
 
     //  Resize the parentview to fit
-    layout.height = ((currentNumberOfInputs + 1) * 24) + (currentNumberOfInputs * this.BOTTOM_PADDING);
+    this._resizeToFitInputs();
+  },
+
+  /** @private
+    Removes the input at idx with its button, label, preview and remove button, and moves the rows
+    below it up.  The events of the moved inputs are registered again with their new index.
+  */
+  _removeInputAt: function(idx) {
+    var inputs = this._inputs,
+        views = [this._buttons[idx], this._labels[idx], this._previews[idx], this._removeButtons[idx]],
+        input = inputs[idx],
+        i;
+
+    this._revokePreview(idx);
+
+    for (i = idx; i < inputs.length; i++) {
+      this._removeInputEvents(inputs[i]);
+    }
+
+    inputs.splice(idx, 1);
+    this._buttons.splice(idx, 1);
+    this._labels.splice(idx, 1);
+    this._previews.splice(idx, 1);
+    this._previewSources.splice(idx, 1);
+    this._removeButtons.splice(idx, 1);
+    if (this._values) { this._values.splice(idx, 1); }
+
+    this._form.removeChild(input);
+    input.destroy();
+    for (i = 0; i < views.length; i++) {
+      if (views[i]) {
+        this.removeChild(views[i]);
+        views[i].destroy();
+      }
+    }
+
+    for (i = idx; i < inputs.length; i++) {
+      this._moveInputTo(i);
+    }
+  },
+
+  /** @private */
+  _removeInputEvents: function(input) {
+    var inputLayer = input.$()[0];
+
+    SC.Event.remove(inputLayer, 'mousedown', this, this._mouseDownInInput);
+    SC.Event.remove(inputLayer, 'change', this, this._inputChange);
+    SC.Event.remove(inputLayer, 'mouseup', this, this._mouseUpInInput);
+    SC.Event.remove(inputLayer, 'mouseout', this, this._mouseOutOfInput);
+    SC.Event.remove(inputLayer, 'keydown', this, this._keyDownInInput);
+    SC.Event.remove(inputLayer, 'focus', this, this._focusInInput);
+    SC.Event.remove(inputLayer, 'blur', this, this._blurInInput);
+  },
+
+  /** @private
+    Positions the row at idx and registers its input's events with the index.
+  */
+  _moveInputTo: function(idx) {
+    var top = idx * (24 + this.BOTTOM_PADDING),
+        input = this._inputs[idx],
+        views = [this._buttons[idx], this._labels[idx], this._previews[idx], this._removeButtons[idx]],
+        i;
+
+    for (i = 0; i < views.length; i++) {
+      if (views[i]) { views[i].adjust('top', top); }
+    }
+
+    input.set('currentNumberOfInputs', idx);
+    input.$().css('top', top);
+
+    this._addInputEvents(input, idx);
+  },
+
+  /** @private */
+  _addInputEvents: function(input, idx) {
+    var inputLayer = input.$()[0];
+
+    // Register for mousedown so that we can visually activate our button
+    SC.Event.add(inputLayer, "mousedown", this, this._mouseDownInInput, idx);
+    SC.Event.add(inputLayer, "change", this, this._inputChange, idx);
+    SC.Event.add(inputLayer, "keydown", this, this._keyDownInInput, idx);
+    SC.Event.add(inputLayer, "focus", this, this._focusInInput, idx);
+    SC.Event.add(inputLayer, "blur", this, this._blurInInput, idx);
+  },
+
+  /** @private
+    Shows the remove button of each row with a selection.
+  */
+  _updateRemoveButtons: function() {
+    var removeButtons = this._removeButtons || [],
+        values = this._values || [],
+        i;
+
+    SC.RunLoop.begin();
+    for (i = 0; i < removeButtons.length; i++) {
+      if (removeButtons[i]) { removeButtons[i].set('isVisible', !SC.empty(values[i])); }
+    }
+    SC.RunLoop.end();
+  },
+
+  /** @private */
+  _removeButtonWasClicked: function(sender) {
+    this.removeFile(this._removeButtons.indexOf(sender));
+  },
+
+  /** @private
+    Resizes the view to fit its rows.
+  */
+  _resizeToFitInputs: function() {
+    var layout = this.get('layout'),
+        count = this._inputs.length;
+
+    layout.height = (count * 24) + ((count - 1) * this.BOTTOM_PADDING);
     this.set('layout', layout);
 
     // TODO: why doesn't the observer get this all the time
     this.layoutDidChange();
   },
 
+  /** @private
+    Stops the transport and poller, if still running, and updates the progress for the outcome of
+    the upload.
+  */
+  _finishUpload: function(didSucceed) {
+    this._stopUpload();
+
+    this.beginPropertyChanges();
+    if (didSucceed) {
+      this.set('uploadProgress', 1);
+    } else {
+      this.set('uploadProgress', 0);
+      this.set('bytesSent', 0);
+      this.set('bytesTotal', 0);
+    }
+    this.endPropertyChanges();
+  },
+
+  _stopUpload: function() {
+    this._preparing = null;
+    if (this._checksum) {
+      this._checksum.cancel();
+      this._checksum = null;
+    }
+    if (this._transport) {
+      this._transport.abort();
+      this._transport = null;
+    }
+    this._stopProgressPoller();
+    this._stopUploadTimer();
+  },
+
+  _uploadDidFail: function(error) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        attempt = (this._retryAttempt || 0) + 1,
+        answer;
+
+    this._lastError = error;
+
+    if (attempt <= this.get('maxRetries') && this._isRetryableError(error)) {
+      answer = this.invokeDelegateMethod(del, 'fileFieldViewShouldRetry', this, error, attempt);
+
+      if (answer !== NO) {
+        // Stay disabled while waiting to retry
+        this._stopUpload();
+        this._retryTimer = SC.Timer.schedule({
+          target: this,
+          action: 'retryUpload',
+          interval: SC.typeOf(answer) === SC.T_NUMBER ? answer : this.retryDelayForAttempt(attempt)
+        });
+        return;
+      }
+    }
+
+    this._finishUpload(NO);
+    this._gotoState(SC.FileFieldView.FAILED);
+    this.announce(this.get('failedAnnouncement').fmt(error.get('message')));
+    this.invokeDelegateMethod(del, 'fileFieldViewDidFail', this, error);
+  },
+
+  _isRetryableError: function(error) {
+    var type = error.get('type');
+
+    return type === SC.FileUploadError.NETWORK ||
+      type === SC.FileUploadError.TIMEOUT ||
+      (type === SC.FileUploadError.HTTP_STATUS && error.get('status') >= 500);
+  },
+
+  _cancelRetry: function() {
+    if (this._retryTimer) {
+      this._retryTimer.invalidate();
+      this._retryTimer = null;
+    }
+  },
+
+  _startUploadTimer: function() {
+    var timeout = this.get('uploadTimeout');
+
+    this._stopUploadTimer();
+
+    if (timeout > 0) {
+      this._uploadTimer = SC.Timer.schedule({
+        target: this,
+        action: '_uploadDidTimeout',
+        interval: timeout
+      });
+    }
+  },
+
+  _stopUploadTimer: function() {
+    if (this._uploadTimer) {
+      this._uploadTimer.invalidate();
+      this._uploadTimer = null;
+    }
+  },
+
+  _uploadDidTimeout: function() {
+    this._uploadTimer = null;
+
+    if (this._transport) {
+      this._uploadDidFail(SC.FileUploadError.error(SC.FileUploadError.TIMEOUT, 'File upload timed out after %@ms.'.fmt(this.get('uploadTimeout'))));
+    }
+  },
+
+  _startProgressPoller: function(uuid) {
+    this._stopProgressPoller();
+
+    this._poller = SC.FileUploadProgressPoller.create({
+      progressURL: this.get('progressURL'),
+      interval: this.get('progressPollInterval'),
+      uuid: uuid,
+      delegate: this
+    }).start();
+  },
+
+  _stopProgressPoller: function() {
+    if (this._poller) {
+      this._poller.stop();
+      this._poller = null;
+    }
+  },
+
+  _updateProgress: function(loaded, total) {
+    var del = this.get('delegate') ? this.get('delegate') : this,
+        quarter;
+
+    // The upload is still moving, so start the wait over
+    if (this._uploadTimer) { this._startUploadTimer(); }
+
+    this.beginPropertyChanges();
+    this.set('bytesSent', loaded);
+    this.set('bytesTotal', total);
+    this.set('uploadProgress', total > 0 ? loaded / total : 0);
+    this.endPropertyChanges();
+
+    // Announce each quarter, rather than every update
+    quarter = Math.floor(this.get('uploadProgress') * 4);
+    if (quarter > (this._announcedQuarter || 0) && quarter < 4) {
+      this._announcedQuarter = quarter;
+      this.announce(this.get('progressAnnouncement').fmt(quarter * 25));
+    }
+
+    this.invokeDelegateMethod(del, 'fileFieldViewDidProgress', this, loaded, total);
+  },
+
+  _filesForUpload: function() {
+    var inputs = this._inputs || [],
+        ret = [],
+        files, i, j;
+
+    if (this._droppedFiles) {
+      for (i = 0; i < this._droppedFiles.length; i++) {
+        ret.push({ name: this.get('inputName'), file: this._droppedFiles[i] });
+      }
+      return ret;
+    }
+
+    for (i = 0; i < inputs.length; i++) {
+      files = inputs[i].$()[0].files;
+      if (!files) { continue; }
+
+      for (j = 0; j < files.length; j++) {
+        ret.push({ name: inputs[i].get('name'), file: files[j] });
+      }
+    }
+
+    return ret;
+  },
+
   updateHiddenFieldValue: function(name, value) {
     // Complete a run loop so that the form's view layer is updated before the form is submitted
     SC.RunLoop.begin();
@@ -626,14 +2237,154 @@ SC.FileFieldView = SC.View.extend(SC.DelegateSupport, {
 
   fileFieldValueDidChange: function(fileFieldView, value, previousValue) {},
 
+  fileFieldViewDidRejectFile: function(fileFieldView, file, reason) {},
+
   fileFieldViewShouldSubmit: function(fileFieldView) {
     return YES;
   },
 
   fileFieldViewWillSubmit: function(fileFieldView) {},
 
+  fileFieldViewWillTransform: function(fileFieldView, file) {},
+
+  fileFieldViewDidComputeChecksums: function(fileFieldView, file, checksums) {},
+
+  fileFieldViewPresignedPostForFile: function(fileFieldView, file, callback) {
+    return null;
+  },
+
   fileFieldViewDidSubmit: function(fileFieldView, uuid) {},
 
-  fileFieldViewDidComplete: function(fileFieldView, result) {}
+  fileFieldViewDidProgress: function(fileFieldView, loaded, total) {},
+
+  fileFieldViewDidCancel: function(fileFieldView) {},
+
+  fileFieldViewShouldRetry: function(fileFieldView, error, attempt) {
+    return YES;
+  },
+
+  fileFieldViewDidFail: function(fileFieldView, error) {},
+
+  fileFieldViewDidComplete: function(fileFieldView, result, response) {},
+
+  /** FileUploadTransportDelegate methods */
+  uploadTransportPresignedPostForFile: function(transport, file, callback) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+    return this.invokeDelegateMethod(del, 'fileFieldViewPresignedPostForFile', this, file, callback);
+  },
+
+  uploadTransportDidProgress: function(transport, loaded, total) {
+    this._updateProgress(loaded, total);
+  },
+
+  uploadTransportDidComplete: function(transport, result, response) {
+    var del = this.get('delegate') ? this.get('delegate') : this;
+
+    this._transport = null;
+    this._lastError = null;
+    this._finishUpload(YES);
+    this._gotoState(SC.FileFieldView.COMPLETE);
+    this.invokeDelegateMethod(del, 'fileFieldViewDidComplete', this, result, response);
+
+    if (this.get('resetAfterComplete')) { this.reset(); }
+
+    // Announce after the reset, whose cleared selection would replace the announcement
+    this.announce(this.get('completeAnnouncement'));
+  },
+
+  uploadTransportDidFail: function(transport, error) {
+    this._transport = null;
+    this._uploadDidFail(error);
+  },
+
+  /** FileUploadProgressPollerDelegate methods */
+  progressPollerDidUpdate: function(poller, received, size) {
+    this._updateProgress(received, size);
+  },
+
+  progressPollerDidFinish: function(poller, progress) {
+    if (poller === this._poller) { this._poller = null; }
+
+    // The response to a failed upload may never reach the hidden iframe, so fail now
+    if (progress.state === 'error' && this._transport) {
+      this._uploadDidFail(SC.FileUploadError.error(SC.FileUploadError.HTTP_STATUS, 'File upload failed with HTTP status %@.'.fmt(progress.status), {
+        status: progress.status
+      }));
+    }
+  }
+
+});
+
+SC.mixin(SC.FileFieldView, {
+
+  /** The file doesn't match acceptedTypes. */
+  REJECT_TYPE: 'type',
+
+  /** The file is larger than maxFileSize. */
+  REJECT_TOO_LARGE: 'tooLarge',
+
+  /** The file is smaller than minFileSize. */
+  REJECT_TOO_SMALL: 'tooSmall',
+
+  /** The file is beyond the numberOfFiles files allowed in a multiple selection. */
+  REJECT_TOO_MANY: 'tooMany',
+
+  /** The file is in a multiple selection of fewer than minNumberOfFiles files. */
+  REJECT_TOO_FEW: 'tooFew',
+
+  /** The uploadState when nothing is selected. */
+  IDLE: 'idle',
+
+  /** The uploadState when files are selected and haven't been uploaded. */
+  SELECTED: 'selected',
+
+  /** The uploadState while the files are being uploaded. */
+  UPLOADING: 'uploading',
+
+  /** The uploadState after the files were uploaded. */
+  COMPLETE: 'complete',
+
+  /** The uploadState while the files are prepared to be uploaded. */
+  VALIDATING: 'validating',
+
+  /** The uploadState after the upload failed. */
+  FAILED: 'failed',
+
+  /** The uploadState after the upload was aborted. */
+  CANCELLED: 'cancelled',
+
+  /** The uploadState after the files were handed to the uploadQueue. */
+  QUEUED: 'queued',
+
+  /**
+    The methods that may be called in each uploadState.  The others throw an SC.Error.
+
+      'select' - selectFiles()
+      'remove' - removeFile()
+      'reset'  - reset()
+      'submit' - submitForm()
+      'retry'  - retryUpload()
+  */
+  allowedActions: {
+    idle: ['select', 'remove', 'reset'],
+    selected: ['select', 'remove', 'reset', 'submit'],
+    validating: [],
+    uploading: ['retry'],
+    complete: ['select', 'remove', 'reset', 'submit'],
+    failed: ['select', 'remove', 'reset', 'submit', 'retry'],
+    cancelled: ['select', 'remove', 'reset', 'submit'],
+    queued: ['select', 'remove', 'reset', 'submit']
+  }
 
 });
+
+/**
+  The transports that may be selected by name with SC.FileFieldView's uploadTransport property.
+*/
+SC.FileFieldView.transports = {
+  iframe: SC.FileUploadIframeTransport,
+  xhr: SC.FileUploadXHRTransport,
+  chunked: SC.FileUploadChunkedTransport,
+  tus: SC.FileUploadTusTransport,
+  presigned: SC.FileUploadPresignedTransport
+};